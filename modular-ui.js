@@ -4,22 +4,89 @@
 // Copyright BCC South Africa
 // =====================================
 
+/**
+ * Convert a camel case CSS property name to a CSS property name (e.g. "backgroundColor" to "background-color")
+ * @param {string} name
+ * @returns {string}
+ */
+function __cssName(name) {
+    return name.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`);
+}
+
+/**
+ * Set an HTML attribute to the string value of the passed value. The attribute is removed for undefined and null values.
+ * @param {*} element
+ * @param {*} value
+ * @param {string} attribute
+ */
+function __writeAttribute(element, value, attribute) {
+    if (value == undefined) {
+        element.removeAttribute(attribute);
+    } else {
+        element.setAttribute(attribute, `${value}`);
+    }
+}
+
 // Map of element types, attributes and matching events supported for automatic data binding.
-// For attributes that can be changed from the web-page, the event name is included.
+// For attributes that can be changed from the web-page, the event name is included (or a function returning the event name for the element).
 // For attributes that only should be set in JavaScript (i.e removed from the element HTML), jsOnly is set to true.
+// Optional read(element, attribute), write(element, value, attribute) and parse(value, element) functions replace the default element property access and value parsing.
+// Attribute names ending with "*" match all attributes starting with the given prefix (e.g. "data-*").
 // If a element type cannot be found or an attribute is not listed under the specified element type, modular-ui will try to find the attribute in _default.
+// Bindings are added through ui.registerBinding().
 const __bindingMap = {
     _default: {
         textContent: {},
         title: {},
         hidden: { jsOnly: true },
         disabled: { jsOnly: true },
+        class: {
+            write: (element, value) => {
+                element.className = value == undefined ? "" : value;
+            },
+        },
+        style: {
+            write: (element, value) => {
+                element.style.cssText = value == undefined ? "" : value;
+            },
+        },
+        "class:*": {
+            jsOnly: true,
+            read: (element, attribute) =>
+                element.classList.contains(attribute.slice(6)),
+            write: (element, value, attribute) => {
+                element.classList.toggle(attribute.slice(6), !!value);
+            },
+        },
+        "style:*": {
+            jsOnly: true,
+            read: (element, attribute) =>
+                element.style.getPropertyValue(__cssName(attribute.slice(6))),
+            write: (element, value, attribute) => {
+                let name = __cssName(attribute.slice(6));
+                if (value == undefined || value === "" || value === false) {
+                    element.style.removeProperty(name);
+                } else {
+                    element.style.setProperty(name, value);
+                }
+            },
+        },
+        "data-*": {
+            read: (element, attribute) => element.getAttribute(attribute),
+            write: __writeAttribute,
+        },
+        "aria-*": {
+            read: (element, attribute) => element.getAttribute(attribute),
+            write: __writeAttribute,
+        },
     },
     a: {
         href: {},
     },
     input: {
-        value: { event: "change" },
+        value: {
+            event: (element) => (element.type == "range" ? "input" : "change"),
+        },
         checked: { event: "change", jsOnly: true },
         max: {},
         min: {},
@@ -39,6 +106,17 @@ const __bindingMap = {
         max: {},
         value: {},
     },
+    meter: {
+        value: {},
+        min: {},
+        max: {},
+        low: {},
+        high: {},
+        optimum: {},
+    },
+    details: {
+        open: { event: "toggle", jsOnly: true },
+    },
     video: {
         src: {},
     },
@@ -52,6 +130,34 @@ const __ignoreMap = {
     },
 };
 
+// Registry of control classes by control type name. Populated through ui.register().
+const __controlRegistry = {};
+
+// Cache of control classes resolved through the eval fallback (see ui.evalFallback).
+const __evalClassCache = {};
+
+// Class names of which the script files are loaded through script tags (see _loadScript()). Classes declared in classic scripts are not window properties,
+// and cannot be found without the eval fallback if the script does not register the class.
+const __loadedScripts = {};
+
+// Cache of merged static maps (e.g. ui.schema, ui.computed) by control class.
+const __staticMapCache = new WeakMap();
+
+// Compiled template expressions by template string (see TemplateExpression).
+const __templateCache = {};
+
+// Registry of template formatters by name. Populated through ui.registerFormatter().
+const __formatters = {};
+
+// Stack of dependency lists of computed properties and template expressions being evaluated (see ui.computed). Property getters add the read property to the current list.
+const __dependencyTracker = [];
+
+// Intl.Collator instances used to sort child controls, by locale (see ui.sortLocale).
+const __collators = {};
+
+// Reorderable container elements, mapped to their parent controls (see reorderable()).
+const __dropTargets = new WeakMap();
+
 /* #region  Dispatcher Event */
 // Code adapted from https://labs.k.io/creating-a-simple-custom-event-system-in-javascript/
 class DispatcherEvent {
@@ -77,11 +183,11 @@ class DispatcherEvent {
         this.callbacks.splice(0, this.callbacks.length);
     }
 
-    fire(data) {
+    fire(data, meta) {
         const callbacks = this.callbacks.slice(0);
         var once = [];
         callbacks.forEach((c) => {
-            c.callback(data);
+            c.callback(data, meta);
             if (c.once) {
                 once.push(c);
             }
@@ -104,11 +210,12 @@ class Dispatcher {
      * Emit an event
      * @param {string} eventName
      * @param {*} data
+     * @param {*} meta - [Optional] Meta data passed as second argument to the event callbacks
      */
-    emit(eventName, data) {
+    emit(eventName, data, meta) {
         const event = this.events[eventName];
         if (event) {
-            event.fire(data);
+            event.fire(data, meta);
         }
     }
 
@@ -156,6 +263,7 @@ class Dispatcher {
      */
     off(eventName, callback) {
         const event = this.events[eventName];
+        if (!event) return;
         event.unregisterCallback(callback);
         if (event.callbacks.length === 0) {
             delete this.events[eventName];
@@ -173,11 +281,467 @@ class Dispatcher {
 }
 /* #endregion */
 
+/* #region  Template expressions */
+/**
+ * Parser and evaluator of @{} template expressions (e.g. "@{price | currency:'ZAR'}" or "@{first} @{last}").
+ * Expressions are parsed into evaluation functions (no eval), and are safe to use under a Content-Security-Policy without 'unsafe-eval'.
+ * Supported: property names and paths (a.b, a[0]), string / number / boolean / null literals, the operators ! - + * / % < <= > >= == != === !== && || ?:,
+ * parentheses, and formatters (value | formatter:arg1:arg2).
+ */
+class TemplateExpression {
+    /**
+     * Compile a template string containing one or more @{} tags
+     * @param {string} template - Template string, e.g. "Total: @{price | currency}"
+     * @returns {TemplateExpression}
+     */
+    static compile(template) {
+        if (!__templateCache[template]) {
+            __templateCache[template] = new TemplateExpression(template);
+        }
+        return __templateCache[template];
+    }
+
+    constructor(template) {
+        this.template = template;
+        this.parts = []; // Literal strings and expression evaluation functions
+
+        let re = /@{([^}]*)}/g;
+        let last = 0;
+        let m;
+        while ((m = re.exec(template))) {
+            if (m.index > last) this.parts.push(template.slice(last, m.index));
+            this.parts.push(this._parse(m[1]));
+            last = re.lastIndex;
+        }
+        if (last < template.length) this.parts.push(template.slice(last));
+
+        // Templates consisting of a single tag return the expression value (e.g. a boolean) instead of a string
+        this.single =
+            this.parts.length == 1 && typeof this.parts[0] == "function";
+    }
+
+    /**
+     * Evaluate the template against a control
+     * @param {ui} control - Control used to resolve property names
+     * @param {object} [scope] - Template block variables (e.g. the item of an each block), resolved before the control's properties
+     * @returns {*} - Expression value for single tag templates, or string
+     */
+    evaluate(control, scope) {
+        if (scope) {
+            control = new Proxy(control, {
+                get: (target, key) => (key in scope ? scope[key] : target[key]),
+            });
+        }
+
+        if (this.single) return this.parts[0](control);
+
+        return this.parts
+            .map((p) => {
+                if (typeof p == "string") return p;
+                let v = p(control);
+                return v == undefined ? "" : v;
+            })
+            .join("");
+    }
+
+    /**
+     * Parse an expression into an evaluation function
+     * @param {string} source - Expression source (without the @{} tag)
+     * @returns {function} - Function receiving the control, and returning the expression value
+     */
+    _parse(source) {
+        // Decode HTML entities (e.g. "&lt;" in expressions in HTML)
+        let src = source
+            .replace(/&lt;/g, "<")
+            .replace(/&gt;/g, ">")
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;/g, "'")
+            .replace(/&amp;/g, "&");
+
+        let tokens = this._tokenize(src);
+        let pos = 0;
+
+        let peek = () => tokens[pos];
+        let next = () => tokens[pos++];
+        let accept = (value) => {
+            if (tokens[pos] && tokens[pos].op && tokens[pos].value == value) {
+                pos++;
+                return true;
+            }
+            return false;
+        };
+        let expect = (value) => {
+            if (!accept(value)) {
+                throw new Error(`Expected "${value}"`);
+            }
+        };
+        let binary = (operand, operators) => () => {
+            let left = operand();
+            let t = peek();
+            while (t && t.op && operators[t.value]) {
+                next();
+                let l = left;
+                let r = operand();
+                let fn = operators[t.value];
+                left = (c) => fn(l(c), r(c));
+                t = peek();
+            }
+            return left;
+        };
+
+        // Property access is limited to own data (no prototype access)
+        let member = (obj, key) =>
+            obj == undefined ||
+            key == "__proto__" ||
+            key == "constructor" ||
+            key == "prototype"
+                ? undefined
+                : obj[key];
+
+        let primary = () => {
+            let t = next();
+            if (!t) throw new Error("Unexpected end of expression");
+            if (t.op && t.value == "(") {
+                let e = pipe();
+                expect(")");
+                return e;
+            }
+            if (t.literal) {
+                let v = t.value;
+                return () => v;
+            }
+            if (t.identifier) {
+                let name = t.value;
+                let keywords = {
+                    true: true,
+                    false: false,
+                    null: null,
+                    undefined: undefined,
+                };
+                if (Object.prototype.hasOwnProperty.call(keywords, name)) {
+                    let v = keywords[name];
+                    return () => v;
+                }
+                return (c) => member(c, name);
+            }
+            throw new Error(`Unexpected "${t.value}"`);
+        };
+
+        let postfix = () => {
+            let e = primary();
+            for (;;) {
+                if (accept(".")) {
+                    let t = next();
+                    if (!t || !t.identifier) {
+                        throw new Error("Expected property name");
+                    }
+                    let o = e;
+                    e = (c) => member(o(c), t.value);
+                } else if (accept("[")) {
+                    let o = e;
+                    let k = pipe();
+                    expect("]");
+                    e = (c) => member(o(c), k(c));
+                } else {
+                    return e;
+                }
+            }
+        };
+
+        let unary = () => {
+            if (accept("!")) {
+                let e = unary();
+                return (c) => !e(c);
+            }
+            if (accept("-")) {
+                let e = unary();
+                return (c) => -e(c);
+            }
+            if (accept("+")) {
+                let e = unary();
+                return (c) => +e(c);
+            }
+            return postfix();
+        };
+
+        let multiplicative = binary(unary, {
+            "*": (a, b) => a * b,
+            "/": (a, b) => a / b,
+            "%": (a, b) => a % b,
+        });
+        let additive = binary(multiplicative, {
+            "+": (a, b) => a + b,
+            "-": (a, b) => a - b,
+        });
+        let relational = binary(additive, {
+            "<": (a, b) => a < b,
+            "<=": (a, b) => a <= b,
+            ">": (a, b) => a > b,
+            ">=": (a, b) => a >= b,
+        });
+        let equality = binary(relational, {
+            "==": (a, b) => a == b,
+            "!=": (a, b) => a != b,
+            "===": (a, b) => a === b,
+            "!==": (a, b) => a !== b,
+        });
+
+        let and = () => {
+            let left = equality();
+            while (accept("&&")) {
+                let l = left;
+                let r = equality();
+                left = (c) => l(c) && r(c);
+            }
+            return left;
+        };
+
+        let or = () => {
+            let left = and();
+            while (accept("||")) {
+                let l = left;
+                let r = and();
+                left = (c) => l(c) || r(c);
+            }
+            return left;
+        };
+
+        let ternary = () => {
+            let condition = or();
+            if (accept("?")) {
+                let a = ternary();
+                expect(":");
+                let b = ternary();
+                return (c) => (condition(c) ? a(c) : b(c));
+            }
+            return condition;
+        };
+
+        let pipe = () => {
+            let e = ternary();
+            while (accept("|")) {
+                let t = next();
+                if (!t || !t.identifier)
+                    throw new Error("Expected formatter name");
+                let name = t.value;
+                let args = [];
+                while (accept(":")) {
+                    args.push(or());
+                }
+                let v = e;
+                e = (c) => {
+                    let formatter = __formatters[name];
+                    if (!formatter) {
+                        throw new Error(`Unknown formatter "${name}"`);
+                    }
+                    return formatter(v(c), ...args.map((a) => a(c)));
+                };
+            }
+            return e;
+        };
+
+        try {
+            let e = pipe();
+            if (pos < tokens.length) {
+                throw new Error(`Unexpected "${tokens[pos].value}"`);
+            }
+            return (c) => {
+                try {
+                    return e(c);
+                } catch (err) {
+                    console.log(
+                        `${c.name}: Unable to evaluate "@{${source}}": ${err.message}`
+                    );
+                }
+            };
+        } catch (err) {
+            console.log(`Unable to parse "@{${source}}": ${err.message}`);
+            return () => undefined;
+        }
+    }
+
+    /**
+     * Split an expression into tokens
+     * @param {string} src
+     * @returns {Array} - List of { op / literal / identifier: true, value }
+     */
+    _tokenize(src) {
+        let tokens = [];
+        let re =
+            /\s*(?:(\d+(?:\.\d+)?)|("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|([_$a-zA-Z][_$a-zA-Z0-9]*)|(===|!==|==|!=|<=|>=|&&|\|\||[-+*/%<>!?:|.()[\]]))/y;
+        let pos = 0;
+        src = src.trim();
+        while (pos < src.length) {
+            re.lastIndex = pos;
+            let m = re.exec(src);
+            if (!m) {
+                throw new Error(`Unexpected character "${src[pos]}"`);
+            }
+            if (m[1] != undefined) {
+                tokens.push({ literal: true, value: Number(m[1]) });
+            } else if (m[2] != undefined) {
+                tokens.push({
+                    literal: true,
+                    value: m[2]
+                        .slice(1, -1)
+                        .replace(
+                            /\\(.)/g,
+                            (a, ch) => ({ n: "\n", t: "\t" }[ch] || ch)
+                        ),
+                });
+            } else if (m[3] != undefined) {
+                tokens.push({ identifier: true, value: m[3] });
+            } else {
+                tokens.push({ op: true, value: m[4] });
+            }
+            pos = re.lastIndex;
+            while (pos < src.length && /\s/.test(src[pos])) pos++;
+        }
+        return tokens;
+    }
+}
+/* #endregion */
+
 /* #region  modular-ui base class */
 /**
  * modular-ui base class
  */
 class ui extends Dispatcher {
+    /**
+     * When true, control types that are not registered through ui.register() are resolved by evaluating the control type name as a global class name.
+     * This is not allowed under a Content-Security-Policy without 'unsafe-eval'. Default: false.
+     */
+    static evalFallback = false;
+
+    /**
+     * Headless (DOM-free) mode. When true, controls are created without HTML elements: the control tree, properties, Set() / Get() and events
+     * work without a DOM, while HTML rendering is skipped (or passed to the renderer of the top level container). Default: true if no DOM is available.
+     */
+    static headless = typeof document == "undefined";
+
+    /**
+     * Property schema. Control classes may declare a static schema to validate and coerce property values set through Set(), bound elements and direct assignment.
+     * Schemas are merged with the schemas of extended classes. Example: static schema = { age: { type: "number", min: 0, max: 150, default: 18 } }
+     * Supported rules: type ("number", "string", "boolean", "array", "object" or "date"), min / max (value for numbers; length for strings and arrays), enum (array of allowed values),
+     * pattern (regular expression or string for string values), required (rejects null, undefined and empty values) and default (initial value, and value used when set to null or undefined).
+     */
+    static schema = {};
+
+    /**
+     * Computed properties. Control classes may declare computed (derived) properties as functions receiving the control, e.g.
+     * static computed = { fullName: (c) => c.firstName + " " + c.lastName }. Dependencies are tracked automatically, and values are recomputed lazily.
+     * Declare as { get: [function], persistent: true } to include the computed value in Get() and in the 'data' event. Computed properties are merged with the computed properties of extended classes.
+     */
+    static computed = {};
+
+    /**
+     * Locale (or list of locales) used to compare string values when sorting child controls (see orderBy). Default: undefined (the runtime's default locale).
+     */
+    static sortLocale = undefined;
+
+    /**
+     * Register a control class to be used for the given control type
+     * @param {string} controlType - Control type name as used in Set() data. Namespaced types are separated by dots (e.g. "widgets.slider").
+     * @param {class} controlClass - Control class (extending ui)
+     */
+    static register(controlType, controlClass) {
+        if (
+            typeof controlType != "string" ||
+            !controlType.match(
+                /^[a-zA-Z_$][a-zA-Z0-9_$]*(\.[a-zA-Z_$][a-zA-Z0-9_$]*)*$/
+            )
+        ) {
+            throw new Error(
+                `Unable to register control type "${controlType}": Invalid control type name`
+            );
+        }
+
+        if (typeof controlClass != "function") {
+            throw new Error(
+                `Unable to register control type "${controlType}": Control class is not a class`
+            );
+        }
+
+        if (
+            __controlRegistry[controlType] &&
+            __controlRegistry[controlType] !== controlClass
+        ) {
+            throw new Error(
+                `Unable to register control type "${controlType}": Control type is already registered with class "${__controlRegistry[controlType].name}"`
+            );
+        }
+
+        __controlRegistry[controlType] = controlClass;
+    }
+
+    /**
+     * Register a template formatter, used in @{} tags as @{value | name:arg1:arg2}
+     * @param {string} name - Formatter name
+     * @param {function} formatter - Function receiving the value and formatter arguments, and returning the formatted value
+     */
+    static registerFormatter(name, formatter) {
+        if (
+            typeof name != "string" ||
+            !name.match(/^[_$a-zA-Z][_$a-zA-Z0-9]*$/)
+        ) {
+            throw new Error(`Invalid formatter name "${name}"`);
+        }
+        if (typeof formatter != "function") {
+            throw new Error(
+                `Unable to register formatter "${name}": Formatter is not a function`
+            );
+        }
+
+        __formatters[name] = formatter;
+    }
+
+    /**
+     * Register a data binding for an element type and attribute, used by @{} tags in control HTML
+     * @param {string} elementType - Element type (e.g. "input" or "my-slider"), or "_default" for all element types
+     * @param {string} attribute - Attribute name. Names ending with "*" match all attributes starting with the given prefix (e.g. "data-*").
+     * @param {object} [binding]
+     * @param {string|function} [binding.event] - DOM event to listen to for element changes (two-way binding), or a function receiving the element and returning the event name
+     * @param {boolean} [binding.jsOnly] - True if the attribute should be removed from the element HTML, and only be set from JavaScript
+     * @param {function} [binding.read] - (element, attribute) => value. Defaults to reading element[attribute].
+     * @param {function} [binding.write] - (element, value, attribute) => void. Defaults to setting element[attribute].
+     * @param {function} [binding.parse] - (value, element) => value. Converts the read element value to the property value. Defaults to conversion to the property type.
+     */
+    static registerBinding(elementType, attribute, binding = {}) {
+        if (typeof elementType != "string" || !elementType) {
+            throw new Error(`Invalid element type "${elementType}"`);
+        }
+        if (typeof attribute != "string" || !attribute) {
+            throw new Error(
+                `Unable to register binding for element type "${elementType}": Invalid attribute "${attribute}"`
+            );
+        }
+        if (!binding || typeof binding != "object") {
+            throw new Error(
+                `Unable to register binding for element "${elementType}" attribute "${attribute}": Binding is not an object`
+            );
+        }
+        ["read", "write", "parse"].forEach((f) => {
+            if (binding[f] != undefined && typeof binding[f] != "function") {
+                throw new Error(
+                    `Unable to register binding for element "${elementType}" attribute "${attribute}": ${f} is not a function`
+                );
+            }
+        });
+
+        let e = elementType.toLowerCase();
+        if (!__bindingMap[e]) __bindingMap[e] = {};
+        __bindingMap[e][attribute] = binding;
+    }
+
+    /**
+     * Checks if a control class is registered for the given control type
+     * @param {string} controlType - Control type name
+     * @returns {boolean}
+     */
+    static isRegistered(controlType) {
+        return __controlRegistry[controlType] != undefined;
+    }
+
     /**
      * modular-ui base class
      * @property {string} name - Special property indicating the name of the control. This property should not be set in code.
@@ -198,17 +762,27 @@ class ui extends Dispatcher {
         this.controlType = this.constructor.name; // The name of the class. This property should not be set in code.
         this._parent = undefined; // Reference to the parent control (if any)
         this._topLevelParent = undefined; // Reference to the top level parent. Undefined if this control is the top level parent.
-        this._element = document.createElement("div"); // Control's top level element. All custom html is added inside this element (see get html())
+        this._headless = ui.headless; // True if the control is created in headless (DOM-free) mode
+        this._element = this._headless
+            ? undefined
+            : document.createElement("div"); // Control's top level element. All custom html is added inside this element (see get html()). Undefined in headless mode.
         this._controls = {}; // List of child controls
+        this._controlList = []; // Internal array of child controls in display order when not sorted (integer-like control names are always enumerated first in _controls)
         this._properties = {}; // List of properties populated for properties with getters and setters
-        this._controlsQueue = []; // Queue child controls to be created
+        this._propertiesCreated = false; // True after the getters and setters of the control's properties are created (see _createProperties())
+        this._observers = {}; // Cached observable proxies (and Date copies) of object and Date property values, by property path
+        this._createQueue = Promise.resolve(); // Promise of the last batch of child controls to be created (see _createControls())
+        this._createErrors = {}; // Error messages of child controls that could not be created, by control name
+        this._pathCache = {}; // Cached child controls resolved by find(), by path
         this._htmlControlQueue = []; // Queue child controls to be initialized while this control is not yet initialized
         this._styles = []; // Add css style paths to this array
         this._appliedStyles = []; // List of applied CSS style sheets
         this._pendingScripts = {}; // List of controls waiting for the loaded script to be applied
-        this._htmlElementQueue = {}; // List of controls waiting to be be added to the DOM.
         this._uuid = this._generateUuid(); // Unique ID for this control
         this._init = false; // True when the control has been initialized (DOM linkup complete)
+        this._initPromise = new Promise((resolve) => {
+            this.__resolveInit = resolve;
+        }); // Promise resolving when the control has been initialized
         this._elementIdQueue = []; // List of element object names (to be added as class properties) and element ID's
         this._elementAttributeQueue = []; // List of element attributes to be bound to class properties
         this.parentElement = "_controlsDiv"; // Reference object name of the HTML element in which child controls should be added.
@@ -217,19 +791,32 @@ class ui extends Dispatcher {
         this.cssText = ""; // CSS style to be applied to the control's containing element.
         this.cssClass = ""; // CSS class or list of space separated classes to be applied to the control's containg element.
         this.visible = true; // Visibility of the control.
-        this._element.id = this._uuid;
         this.visibleDisplayCss = "inherit"; // Visible css display setting.
         this.hiddenDisplayCss = "none"; // Hidden css display setting.
-        this._elementPollCounter = 0; // Counter used by fallbackTimer when polling if container element is added to the DOM
 
         // Hide control's containing html div element on creation
-        this._element.style.display = "none";
-        this.orderBy = ""; // Property name by which the child controls should be sorted. Sorting is currently only supported in the default child controls element (_controlsDiv).
-        this.orderAsc = true; // true: Sort asceding. False, sort decending. Sorting is currently only supported in the default child controls element (_controlsDiv).
-        this._sorted = []; // Internal array used for sorting of sortable child controls. (Sortable = contains a property with name as per orderBy value)
-        this._sortVal = ""; // Internal sort property string value
+        if (this._element) {
+            this._element.id = this._uuid;
+            this._element.style.display = "none";
+        }
+        this.orderBy = ""; // Property name, comma separated list of property names or array of property names by which the child controls should be sorted. Prefix a property name with "-" to sort descending by the property.
+        this.orderAsc = true; // true: Sort asceding. False, sort decending.
+        this._sorted = []; // Internal array of sorted child controls
+        this._sortMonitor = []; // Child control property names on which the sort function depends (see sort())
         this.__sortCallback; // Internal reference to a control's sorting callback
-        this._orderByPrev = ""; // Internal previous orderBy property value to keep track of changes
+        this.__sortProperties; // Internal list of property names to which the control's sorting callback is subscribed
+        this.groupBy = ""; // Property name by which the child controls (in the _controlsDiv element) should be grouped. Child controls are placed in group controls per property value.
+        this.groupControlType = ""; // Control type of the group controls. Default (empty): uiGroup
+        this._groups = new Map(); // Group controls by group key
+        this.__group; // Internal reference to the group control containing a control's element
+        this.__groupCallback; // Internal reference to a control's grouping callback
+        this.__groupProperty; // Internal property name to which the control's grouping callback is subscribed
+        this.__searchIndex; // Internal search index entry of a control (see search())
+        this.__searchCallbacks; // Internal references to a control's search index callbacks, by property name
+        this.__searchScore; // Internal cached search rank of a control
+        this.__dragHandle; // Internal function removing a control's drag handle (see reorderable())
+        this.pageSize = 0; // Number of filtered child controls shown per page. 0: Show all filtered child controls.
+        this.page = 0; // Zero based page index of the shown filtered child controls (see pageSize)
         /**
          * Used internally to bypass updates notifications through the 'data' event when properties are set by Set();
          */
@@ -246,10 +833,63 @@ class ui extends Dispatcher {
          * Cached property event callbacks used by the parent's parent.filter() function
          */
         this._filterCallbacks = {};
+        /**
+         * Cached list of filtered child controls in display order (see filteredControls)
+         */
+        this._filterList = undefined;
+        /**
+         * True while the filterChanged event is scheduled to be emitted
+         */
+        this._filterScheduled = false;
+        /**
+         * Search state set through this.search()
+         */
+        this._search = undefined;
+        /**
+         * Elements of which the text content is bound to a property, by property name (used to highlight search results)
+         */
+        this._textBindings = {};
+        /**
+         * Virtualized child controls container state (see virtualize())
+         */
+        this._virtual = undefined;
+        /**
+         * Reorderable child controls container state (see reorderable())
+         */
+        this._reorder = undefined;
         /**
          * List of meta data properties. This metadata will be sent with the 'data' event.
          */
         this._meta = {};
+        /**
+         * Transaction nesting depth (top level parent only). 'data' events are merged while a transaction is in progress (see transaction()).
+         */
+        this._txDepth = 0;
+        /**
+         * Transaction counter (top level parent only). Used to group undo history entries per transaction.
+         */
+        this._txId = 0;
+        /**
+         * Undo / redo history state (see enableHistory()). Changes in this control and its child controls are recorded in the history of the nearest control with history enabled.
+         */
+        this._history = undefined;
+        /**
+         * True while the control's initial data is set on creation. Changes are not recorded in the undo history, and persistent computed properties are not notified while creating the control.
+         */
+        this._creating = false;
+        /**
+         * Computed property state by property name (see ui.computed)
+         */
+        this._computed = {};
+        /**
+         * Merged data and meta data waiting to be emitted with the 'data' event (top level parent only)
+         */
+        this._pendingData = undefined;
+        this._pendingMeta = undefined;
+        /**
+         * Debounce timer of merged 'data' events (top level parent only)
+         */
+        this._notifyTimer = undefined;
     }
 
     // -------------------------------------
@@ -352,6 +992,8 @@ class ui extends Dispatcher {
      * This function is called by the parent control when the child's (this control) html has been printed to the DOM.
      */
     Init() {
+        if (this._headless) return;
+
         this._mainDiv = document.getElementById(`${this._uuid}_main`);
 
         // Element containing child controls. Controls that should not be able to host child controls
@@ -363,7 +1005,7 @@ class ui extends Dispatcher {
      * Depreciated. Controls now includes a containing HTML element which modular-ui identifies automatically, and which is used to remove the control's HTML from the DOM.
      */
     RemoveHtml() {
-        this._element.remove();
+        if (this._element) this._element.remove();
     }
 
     // -------------------------------------
@@ -378,1338 +1020,6050 @@ class ui extends Dispatcher {
     }
 
     /**
-     * Sets a javascript data object, and updates values, creates and removes controls as applicable.
-     * @param {object} data - Object data to be set
+     * Dot separated path of control names from the top level parent to this control (e.g. "rooms.kitchen.lights"). Empty for the top level parent.
      */
-    Set(data) {
-        if (data && typeof data == "object") {
-            Object.keys(data).forEach((k) => {
-                // Check for remove command
-                if (k == "remove") {
-                    if (data[k] == true) {
-                        this._parent.RemoveChild(this.name);
-                    }
-                }
-                // Ignore invalid and special keys
-                else if (k[0] != "_" && k != "controlType") {
-                    // Update this control's settable (not starting with "_") properties
-                    if (
-                        this[k] != undefined &&
-                        (typeof this[k] == "number" ||
-                            typeof this[k] == "string" ||
-                            typeof this[k] == "boolean" ||
-                            Array.isArray(this[k]))
-                    ) {
-                        if (data[k] != null && data[k] != undefined) {
-                            this._bypassNotify = true;
-                            this[k] = data[k];
-                        } else {
-                            // Prevent properties to be set to undefined or null
-                            this._bypassNotify = true;
-                            this[k] = `${data[k]}`;
-                        }
-                    }
-                    // Update child controls. If a child control shares the name of a settable property, the child control will not receive data.
-                    else if (this._controls[k] != undefined) {
-                        this._controls[k].Set(data[k]);
-                    }
-                    // Create a new child control if the passed data has controlType set. If this control is not ready yet (Init did not run yet),
-                    // add new child controls to a controls queue.
-                    else if (
-                        data[k] != null &&
-                        data[k].controlType != undefined
-                    ) {
-                        // Wait 1ms before creating the control to prevent "freezing up" the browser (gives the event Javascript loop time to process other logic).
-                        setTimeout(() => {
-                            this._createControl(data[k], k);
-                        }, 1);
-                    }
-                }
-            });
+    get path() {
+        return this._getPath();
+    }
+
+    // Get the dot separated path from the top level parent to this control
+    _getPath() {
+        let names = [];
+        let c = this;
+        while (c._parent) {
+            names.unshift(c.name);
+            c = c._parent;
         }
+        return names.join(".");
     }
 
     /**
-     * Depreciated. Use Set().
+     * Controls extending ui may declare their own "path" property (in the constructor). Replace the built-in getter with a normal (own) property in that case.
      */
-    SetData(data) {
-        return this.Set(data);
+    set path(val) {
+        if (this._propertiesCreated) {
+            console.log(
+                `${this.name}: Unable to set "path": The control path is read-only`
+            );
+            return;
+        }
+        Object.defineProperty(this, "path", {
+            value: val,
+            writable: true,
+            enumerable: true,
+            configurable: true,
+        });
     }
 
     /**
-     * Create a new control from data
-     * @param {object} data - Control data structure. (May include child controls.)
-     * @param {string} name - Control name
+     * Find a nested child control by path. Resolved paths are cached until a child control is removed.
+     * @param {string} path - Dot separated path of child control names relative to this control (e.g. "rooms.kitchen.lights.main")
+     * @returns {object} - The child control, or undefined if not found
      */
-    async _createControl(data, name) {
-        // Pre-load script
-        this._loadScript(data.controlType).catch((err) => {
-            console.log(err);
-        });
+    find(path) {
+        if (this._pathCache[path]) return this._pathCache[path];
 
-        // Add to queue
-        this._controlsQueue.push({ data: data, name: name });
+        let control = this;
+        let names = path.split(".").filter((n) => n);
+        for (let i = 0; i < names.length && control; i++) {
+            control = control._controls[names[i]];
+        }
 
-        // Only start processing with first control. Subsequent controls will be processed from the queue
-        if (this._controlsQueue.length == 1) {
-            // Process queue
-            while (this._controlsQueue.length > 0) {
-                let c = this._controlsQueue[0];
+        if (control && control !== this) {
+            this._pathCache[path] = control;
+        }
 
-                // Check if control already exists. This is needed to prevent creation of duplicate controls if SetData() is executed more than once for the same control, resulting in more than one control in the _controlsQueue.
-                if (this._controls[c.name]) {
-                    // Set control child data
-                    this._controls[c.name].Set(c.data);
-                } else {
-                    // Child control does not exist: continue to create control.
-                    let controlClass = this._getDynamicClass(
-                        c.data.controlType
-                    );
+        return control;
+    }
 
-                    // Load script if class does not exists
-                    if (!controlClass) {
-                        await this._loadScript(c.data.controlType)
-                            .then((result) => {
-                                if (result) {
-                                    controlClass = this._getDynamicClass(
-                                        c.data.controlType
-                                    );
-                                }
-                            })
-                            .catch((err) => {
-                                console.log(err);
-                            });
-                    }
+    /**
+     * Clear the find() path cache of this control and its parent controls
+     */
+    _clearPathCache() {
+        let c = this;
+        while (c) {
+            c._pathCache = {};
+            c = c._parent;
+        }
+    }
 
-                    // Check that the class is loaded
-                    if (controlClass) {
-                        // Create new control
-                        let control = new controlClass();
-                        control.name = c.name;
-                        control._parent = this;
-                        control._path = this._path;
-
-                        // Set reference to top level parent
-                        if (this._topLevelParent) {
-                            control._topLevelParent = this._topLevelParent;
-                        } else {
-                            control._topLevelParent = this;
-                        }
+    /**
+     * Set a value by path. Missing child controls are created if the value contains a controlType (the same as with Set()).
+     * @param {string} path - Dot separated path relative to this control, ending with a property or child control name (e.g. "rooms.kitchen.lights.main.brightness")
+     * @param {*} value - Property value or control data
+     * @returns {Promise} - The promise returned by Set()
+     */
+    setPath(path, value) {
+        let data = value;
+        path.split(".")
+            .filter((n) => n)
+            .reverse()
+            .forEach((n) => {
+                data = { [n]: data };
+            });
 
-                        // Apply css style sheets_controlsQueue
-                        control._styles.forEach(async (s) => {
-                            await this.ApplyStyle(s);
+        return this.Set(data);
+    }
 
-                            // To do: test if styles are loaded before continuing.
-                        });
+    /**
+     * Query nested child controls with a selector. Selector segments are separated by dots, and may be a child control name, "*" (any child control)
+     * or "**" (any nested child control). Segments can be filtered on property values with [property=value], [property!=value] or [property] (property is set).
+     * @param {string} selector - Selector (e.g. "rooms.*.lights[controlType=dimmer]")
+     * @returns {Array} - Array of matching controls
+     */
+    query(selector) {
+        let current = [this];
+
+        (selector.match(/(\[[^\]]*\]|[^.\[])+/g) || []).forEach((segment) => {
+            let name = segment.match(/^[^\[]*/)[0].trim();
+            let filters = (segment.match(/\[[^\]]*\]/g) || []).map((f) => {
+                let m = f.match(
+                    /^\[\s*([^=!\]\s]+)\s*(?:(!?=)\s*(.*?)\s*)?\]$/
+                );
+                if (!m) {
+                    throw new Error(
+                        `Invalid selector "${selector}": Invalid filter "${f}"`
+                    );
+                }
+                return {
+                    property: m[1],
+                    operator: m[2],
+                    value: m[3] && m[3].replace(/^(["'])(.*)\1$/, "$2"),
+                };
+            });
 
-                        // Create getters and setters
-                        Object.getOwnPropertyNames(control).forEach((k) => {
-                            // Only return settable (not starting with "_") properties
-                            if (
-                                k[0] != "_" &&
-                                (typeof control[k] == "number" ||
-                                    typeof control[k] == "string" ||
-                                    typeof control[k] == "boolean" ||
-                                    Array.isArray(control[k]))
-                            ) {
-                                // Store property value in _properties list
-                                control._properties[k] = control[k];
-
-                                // Create getter and setter
-                                Object.defineProperty(control, k, {
-                                    get: function () {
-                                        return this._properties[k];
-                                    },
-                                    set: function (val) {
-                                        // Only emit property changes
-                                        if (this._properties[k] != val) {
-                                            this._properties[k] = val;
-                                            if (!this._bypassNotify) {
-                                                this.NotifyProperty(k);
-                                            } else {
-                                                this._bypassNotify = false;
-                                            }
-                                            this.emit(k, val);
-                                        } else {
-                                            this._bypassNotify = false;
-                                        }
-                                    },
-                                });
-                            }
-                        });
-
-                        // Add new control to controls list
-                        this._controls[c.name] = control;
-
-                        // Add a direct reference to the control in this control
-                        this[c.name] = control;
-
-                        // Subscribe to the orderBy and orderAsc events on child controls (used for sorting their child controls)
-                        control.on("orderBy", this._order.bind(control), {
-                            caller: control,
-                        });
-                        control.on("orderAsc", this._order.bind(control), {
-                            caller: control,
-                        });
-
-                        // Check if sorting is enabled on the parent (this)
-                        let orderBy = this.orderBy;
-                        let subscribeChildOrderProp;
-                        if (
-                            (orderBy && c.data[orderBy] != undefined) ||
-                            (control[orderBy] != undefined &&
-                                !c.data._parentElement) ||
-                            (c.data._parentElement == "_controlsDiv" &&
-                                !control._parentElement) ||
-                            control._parentElement == "_controlsDiv"
-                        ) {
-                            // Add sortable string value
-                            if (c.data[orderBy] != undefined) {
-                                if (typeof c.data[orderBy] == "number") {
-                                    control._sortVal = c.data[orderBy];
-                                } else {
-                                    control._sortVal = c.data[orderBy]
-                                        .toString()
-                                        .toLowerCase();
-                                }
-                            } else {
-                                // handle cases where orderBy property value is excluded due to sparse data.
-                                if (typeof c.data[orderBy] == "number") {
-                                    control._sortVal = control[orderBy];
-                                } else {
-                                    control._sortVal = control[orderBy]
-                                        .toString()
-                                        .toLowerCase();
-                                }
-                            }
-
-                            // Calculate index for inserting in _sorted array
-                            let insertIndex;
-                            if (this.orderAsc) {
-                                insertIndex = this._sorted.findIndex(
-                                    (t) => t._sortVal > control._sortVal
-                                );
-                            } else {
-                                insertIndex = this._sorted.findIndex(
-                                    (t) => t._sortVal < control._sortVal
-                                );
-                            }
-                            if (insertIndex < 0)
-                                insertIndex = this._sorted.length;
-
-                            // Insert into the _sorted array
-                            this._sorted.splice(insertIndex, 0, control);
+            let next = [];
+            current.forEach((control) => {
+                let candidates;
+                if (name == "**") {
+                    candidates = control._descendants();
+                } else if (name == "*" || name == "") {
+                    candidates = Object.values(control._controls);
+                } else {
+                    candidates = control._controls[name]
+                        ? [control._controls[name]]
+                        : [];
+                }
 
-                            subscribeChildOrderProp = true;
-                        }
+                candidates
+                    .filter((c) =>
+                        filters.every((f) => {
+                            if (!f.operator) return c[f.property] != undefined;
+                            let match = `${c[f.property]}` == f.value;
+                            return f.operator == "=" ? match : !match;
+                        })
+                    )
+                    .forEach((c) => {
+                        if (!next.includes(c)) next.push(c);
+                    });
+            });
+            current = next;
+        });
 
-                        // Set control child data
-                        control.Set(c.data);
+        return current;
+    }
 
-                        // Subscribe to the child control's order property after control.Set() to avoid triggering prop event on control creation (sorting on control creation is handled by _addHtml())
-                        if (subscribeChildOrderProp) {
-                            control.__sortCallback = function () {
-                                this._orderSingle(control);
-                            }.bind(this);
-                            control.on(orderBy, control.__sortCallback, {
-                                caller: this,
-                            });
-                        }
+    /**
+     * Apply JSON Patch (RFC 6902) operations to the control tree. Paths are JSON pointers relative to this control, pointing to child controls,
+     * properties or array items in array properties (e.g. "/rooms/kitchen/brightness" or "/rooms/kitchen/tags/0"). Supported operations: add, remove,
+     * replace, move, copy and test. Child controls are added by passing control data (including controlType) as the value, and moved with moveTo() (without recreating them).
+     * Changes are applied the same as with Set() (i.e. no 'data' events are emitted). The patch is atomic: the operations are first applied to a copy of the control data,
+     * and an error is thrown (without changing the control tree) on the first operation that fails.
+     * @param {Array} ops - Array of JSON Patch operations
+     * @returns {Promise} - Promise resolving when all child controls created by the patch are initialized
+     */
+    applyPatch(ops) {
+        ops = this.__array(ops);
+
+        // Check that all operations can be applied
+        this.__runPatch(ops, this._patchDocument());
+
+        let pending = [];
+        this.__runPatch(ops, {
+            get: (pointer) => this._patchGet(pointer),
+            add: (pointer, value) => {
+                pending.push(this._patchAdd(pointer, value));
+            },
+            remove: (pointer, replace) => this._patchRemove(pointer, replace),
+            move: (from, pointer) => this._patchMove(from, pointer),
+        });
 
-                        // Control interal event subscriptions. Event subscriptions deliberately are done after control data is set
-                        // (i.e. they will not emit on control creation).
-                        // This is done to prevent unexpected behavior before the control is completely initialised. Any initial values are
-                        // set individually where needed.
-                        control.on("visible", (visible) => {
-                            if (visible) {
-                                control._show();
-                            } else {
-                                control._hide();
-                            }
-                        });
-                        this.on("cssText", (val) => {
-                            element.style.cssText = val;
-                        });
-                        this.on("cssClass", (val) => {
-                            element.className = val;
-                        });
+        return Promise.all(pending).then(() => {});
+    }
 
-                        // Determine destination element
-                        let e = "_controlsDiv"; // default div
+    /**
+     * Apply JSON Patch operations to a target. Throws an error on the first operation that fails.
+     * @param {Array} ops - Array of JSON Patch operations
+     * @param {object} target - { get: (pointer), add: (pointer, value), remove: (pointer, replace), move: (from, pointer) }
+     */
+    __runPatch(ops, target) {
+        ops.forEach((op, i) => {
+            try {
+                switch (op.op) {
+                    case "add":
+                        target.add(op.path, op.value);
+                        break;
+                    case "remove":
+                        target.remove(op.path);
+                        break;
+                    case "replace":
+                        target.remove(op.path, true);
+                        target.add(op.path, op.value);
+                        break;
+                    case "move":
                         if (
-                            c.data.parentElement &&
-                            typeof c.data.parentElement === "string"
+                            op.path != op.from &&
+                            `${op.path}`.startsWith(`${op.from}/`)
                         ) {
-                            e = c.data.parentElement;
+                            throw new Error(
+                                "A value cannot be moved into itself"
+                            );
                         }
-
-                        // Initialize child controls, or add to html controls queue if this control is not initialized yet
-                        if (!this._init) {
-                            this._htmlControlQueue.push(control);
-                        } else {
-                            this._addHtmlQueue(control);
+                        target.move(op.from, op.path);
+                        break;
+                    case "copy":
+                        target.add(op.path, this.__clone(target.get(op.from)));
+                        break;
+                    case "test":
+                        if (!this.__equal(target.get(op.path), op.value)) {
+                            throw new Error("Test failed");
                         }
-                    }
+                        break;
+                    default:
+                        throw new Error("Unsupported operation");
                 }
-
-                // Remove control from queue
-                this._controlsQueue.shift();
+            } catch (err) {
+                throw new Error(
+                    `${this.name}: Unable to apply patch operation ${i} ("${op.op}" "${op.path}"). ${err.message}`
+                );
             }
-        }
+        });
     }
 
     /**
-     * Add control to _addHtml queue
-     * @param {object} control - Control to be added
+     * Get a patch target (see __runPatch()) applying operations to a copy of this control's data, following the same rules as applyPatch() on the control tree
+     * @returns {object}
      */
-    _addHtmlQueue(control) {
-        if (control != undefined && control.name != undefined) {
-            // Create queue for the passed element
-            if (this._htmlElementQueue[control.parentElement] == undefined) {
-                this._htmlElementQueue[control.parentElement] = [];
+    _patchDocument() {
+        let doc = this.Get({ sparse: false });
+        let isControl = (v) =>
+            this.__isPlainObject(v) && v.controlType != undefined;
+
+        // Get the value at a list of pointer tokens
+        let walk = (tokens, pointer) => {
+            let value = doc;
+            tokens.forEach((token) => {
+                if (value == undefined || typeof value != "object") {
+                    throw new Error(`Path "${pointer}" not found`);
+                }
+                value = value[token];
+            });
+            if (value === undefined) {
+                throw new Error(`Path "${pointer}" not found`);
             }
+            return value;
+        };
+        let get = (pointer) => walk(this.__pointerParse(pointer), pointer);
+
+        // Get the parent value and key of a pointer
+        let resolve = (pointer) => {
+            let tokens = this.__pointerParse(pointer);
+            let parent = tokens.length
+                ? walk(tokens.slice(0, -1), pointer)
+                : undefined;
+            return {
+                parent: parent,
+                key: tokens[tokens.length - 1],
+                control: parent === doc || isControl(parent),
+            };
+        };
 
-            this._htmlElementQueue[control.parentElement].push(control);
-
-            if (this._htmlElementQueue[control.parentElement].length == 1) {
-                // This is the first control to be added to the element. Start the _addHtml loop
-                this._addHtml(control.parentElement);
+        let add = (pointer, value) => {
+            let t = resolve(pointer);
+            value = this.__clone(value);
+            if (t.key == undefined) {
+                // Control data set on this control
+                return;
+            } else if (Array.isArray(t.parent)) {
+                let index =
+                    t.key == "-" ? t.parent.length : Number.parseInt(t.key);
+                if (!(index >= 0 && index <= t.parent.length)) {
+                    throw new Error(`Invalid array index "${t.key}"`);
+                }
+                t.parent.splice(index, 0, value);
+            } else if (!t.control) {
+                if (!t.parent || typeof t.parent != "object") {
+                    throw new Error(`Path "${pointer}" not found`);
+                }
+                t.parent[t.key] = value;
+            } else if (isControl(t.parent[t.key]) || isControl(value)) {
+                if (!isControl(value)) {
+                    throw new Error(
+                        "Control data should include a controlType"
+                    );
+                }
+                t.parent[t.key] = value;
+            } else if (t.parent[t.key] == undefined) {
+                throw new Error(`Property "${t.key}" not found`);
+            } else if (
+                this.__isPlainObject(t.parent[t.key]) &&
+                this.__isPlainObject(value)
+            ) {
+                // Object properties are merged by Set()
+                t.parent[t.key] = this.__applyDiff(t.parent[t.key], value);
+            } else {
+                t.parent[t.key] = value;
             }
-        } else {
-            console.log(
-                `Unable to add control "${control.name}" to element "${control.parentElement}"`
-            );
+        };
+
+        let remove = (pointer, replace) => {
+            get(pointer);
+            let t = resolve(pointer);
+            if (t.key == undefined) {
+                throw new Error("The target control cannot be removed");
+            } else if (Array.isArray(t.parent)) {
+                t.parent.splice(Number.parseInt(t.key), 1);
+            } else if (!t.control || isControl(t.parent[t.key])) {
+                delete t.parent[t.key];
+            } else if (!replace) {
+                throw new Error(`Property "${t.key}" cannot be removed`);
+            }
+        };
+
+        return {
+            get: get,
+            add: add,
+            remove: remove,
+            move: (from, pointer) => {
+                let value = get(from);
+                remove(from);
+                add(pointer, value);
+            },
+        };
+    }
+
+    // Move a child control (with moveTo()), or move a value
+    _patchMove(from, pointer) {
+        let source = this._resolvePointer(from);
+        let target = this._resolvePointer(pointer);
+        let control =
+            source.property != undefined && source.rest.length == 0
+                ? source.control._controls[source.property]
+                : undefined;
+
+        if (!control || target.property == undefined || target.rest.length) {
+            let value = this._patchGet(from);
+            this._patchRemove(from);
+            return this._patchAdd(pointer, value);
+        }
+
+        // Replace an existing child control at the target path
+        let existing = target.control._controls[target.property];
+        if (existing && existing != control) {
+            target.control.RemoveChild(target.property);
+        }
+        if (!control.moveTo(target.control, { name: target.property })) {
+            throw new Error("Unable to move the control");
         }
     }
 
     /**
-     * Adds HTML to the giving element from the initMutationCache
-     * @param {string} element - Element object name
+     * Resolve a JSON pointer to a control, property and path within the property value
+     * @param {string} pointer - JSON pointer relative to this control
+     * @returns {object} - { control: [deepest control in the path], property: [property or child control name (undefined if the pointer points to this control)], rest: [array of remaining path tokens within the property value] }
      */
-    _addHtml(element) {
-        try {
-            let control = this._htmlElementQueue[element][0];
-            let parentControl = this;
-            let observer;
-
-            // Wait for HTML to be printed in the element before initializing control
-            // Fallback timer as workaround when mutation observer is not triggering (sometimes occurs when Chrome dev-tools is open)
-            let fallbackTimer = setInterval(() => {
-                // Try counter
-                control._elementPollCounter += 1;
-
-                // Check if containing element exists in DOM
-                if (document.getElementById(control._element.id)) {
-                    console.log(
-                        `Falling back to polling mechanism for control "${control.name}"`
-                    );
-                    this._htmlInit(
-                        observer,
-                        parentControl,
-                        element,
-                        control,
-                        fallbackTimer
-                    );
-                }
-                // Element not created. Stop polling
-                else if (control._elementPollCounter >= 10) {
-                    // Stop fallback interval timer and mutation observer
-                    if (observer) observer.disconnect();
-                    clearInterval(fallbackTimer);
-                    delete control._elementPollCounter;
-                    console.log(
-                        `Unable to add HTML to element "${element}" in control "${parentControl.name}". Element ID not found in DOM.`
-                    );
-                }
-            }, 20);
+    _resolvePointer(pointer) {
+        let tokens = this.__pointerParse(pointer);
+        let control = this;
+        let i = 0;
+        while (
+            i < tokens.length - 1 &&
+            control._controls[tokens[i]] != undefined
+        ) {
+            control = control._controls[tokens[i]];
+            i++;
+        }
 
-            // Mutation observer
-            observer = new MutationObserver(function (mutationsList, observer) {
-                parentControl._htmlInit(
-                    observer,
-                    parentControl,
-                    element,
-                    control,
-                    fallbackTimer
-                );
-            });
+        return {
+            control: control,
+            property: tokens[i],
+            rest: tokens.slice(i + 1),
+        };
+    }
 
-            // Observe controls element for changes to contents
-            observer.observe(parentControl[element], {
-                childList: true,
-                attributes: false,
-            });
+    // Get the value at a JSON pointer (control data for controls)
+    _patchGet(pointer) {
+        let t = this._resolvePointer(pointer);
+        if (t.property == undefined) return t.control.Get({ sparse: false });
 
-            // Parse control html
-            let p = this._parseHtml(control);
+        let value;
+        if (t.control._controls[t.property] != undefined) {
+            value = t.control._controls[t.property].Get({ sparse: false });
+        } else if (t.control._properties[t.property] != undefined) {
+            value = t.control[t.property];
+        } else {
+            throw new Error(`Path "${pointer}" not found`);
+        }
 
-            // Add element ids for data binding
-            control._elementIdQueue.push(...p.idData);
+        t.rest.forEach((token) => {
+            if (value == undefined || typeof value != "object") {
+                throw new Error(`Path "${pointer}" not found`);
+            }
+            value = value[token];
+        });
 
-            // Add element attributes for data binding
-            control._elementAttributeQueue.push(...p.elementData);
+        if (value === undefined) {
+            throw new Error(`Path "${pointer}" not found`);
+        }
 
-            // Print HTML of child control into it's own top level element
-            control._element.innerHTML = p.html;
+        return value;
+    }
 
-            // Check if sorting is enabled
-            if (parentControl.orderBy) {
-                // Sorted list if initialized sibling controls and this control
-                let sorted = parentControl._sorted.filter(
-                    (f) => f._init || f.name == control.name
-                );
+    // Add a child control, set a property, or insert a value in a property value (array item or object key)
+    _patchAdd(pointer, value) {
+        let t = this._resolvePointer(pointer);
+        if (t.property == undefined) {
+            return t.control.Set(value);
+        }
 
-                // Get control index position
-                let i = sorted.findIndex((t) => t.name == control.name);
-                if (sorted.length <= 1 || i >= sorted.length - 1 || i < 0) {
-                    // Add the child control's top level element to the end of the parent's controls div
-                    parentControl[element].appendChild(control._element);
-                } else {
-                    let nextControl = parentControl[sorted[i + 1].name];
-                    // Insert the child control's top level element in it's sorted position
-                    parentControl[element].insertBefore(
-                        control._element,
-                        nextControl._element
-                    );
+        if (t.rest.length == 0) {
+            if (t.control._controls[t.property] != undefined) {
+                // Replace an existing child control
+                t.control.RemoveChild(t.property);
+            } else if (
+                t.control._properties[t.property] != undefined ||
+                value == undefined ||
+                value.controlType == undefined
+            ) {
+                // Set property value
+                if (t.control._properties[t.property] == undefined) {
+                    throw new Error(`Property "${t.property}" not found`);
                 }
-            } else {
-                // Add the child control's top level element to the parent's controls div
-                parentControl[element].appendChild(control._element);
+                return t.control.Set({ [t.property]: value });
             }
-        } catch (error) {
-            console.log(
-                `Unable to add HTML to element "${element}" in control "${this.name}". ${error.message}`
-            );
+
+            if (!value || value.controlType == undefined) {
+                throw new Error("Control data should include a controlType");
+            }
+
+            // The control name is determined by the path (e.g. when copying or moving controls)
+            let data = Object.assign({}, value);
+            delete data.name;
+            return t.control.Set({ [t.property]: data });
+        }
+
+        // Insert into the property value
+        let v = this.__clone(t.control[t.property]);
+        let parent = v;
+        t.rest.slice(0, -1).forEach((token) => {
+            parent = parent != undefined ? parent[token] : undefined;
+        });
+        let last = t.rest[t.rest.length - 1];
+        if (Array.isArray(parent)) {
+            let index = last == "-" ? parent.length : Number.parseInt(last);
+            if (!(index >= 0 && index <= parent.length)) {
+                throw new Error(`Invalid array index "${last}"`);
+            }
+            parent.splice(index, 0, value);
+        } else if (parent && typeof parent == "object") {
+            parent[last] = value;
+        } else {
+            throw new Error(`Path "${pointer}" not found`);
         }
-    }
 
-    // Initialize control after added to the DOM
-    _htmlInit(observer, parentControl, element, control, fallbackTimer) {
-        // Disconnect mutation observer and stop fallback interval timer
-        observer.disconnect();
-        clearInterval(fallbackTimer);
-        delete control._elementPollCounter;
+        // Replace the property value (object properties are merged by Set())
+        t.control._bypassNotify = true;
+        t.control[t.property] = v;
+    }
 
-        // Data bind values from @{identifier} tags
-        control._createDataBindings();
+    // Remove a child control, or remove an array item or object key from a property value. Properties can only be removed when replaced.
+    _patchRemove(pointer, replace) {
+        // Check that the value exists
+        this._patchGet(pointer);
 
-        // Apply css to the control's containing _element
-        control._element.style.cssText = control.cssText;
-        control._element.className = control.cssClass;
-        control._visibleDisplayCss = control._element.style.display;
+        let t = this._resolvePointer(pointer);
+        if (t.property == undefined) {
+            throw new Error("The target control cannot be removed");
+        }
 
-        // Set initial visibility
-        if (control.visible) {
-            if (parentControl._filterFunction) {
-                if (parentControl._filterFunction(control)) {
-                    control._show();
-                } else {
-                    control._hide();
-                }
-            } else {
-                control._show();
+        if (t.rest.length == 0) {
+            if (t.control._controls[t.property] != undefined) {
+                t.control.RemoveChild(t.property);
+            } else if (!replace) {
+                throw new Error(`Property "${t.property}" cannot be removed`);
             }
+            return;
+        }
+
+        let v = this.__clone(t.control[t.property]);
+        let parent = v;
+        t.rest.slice(0, -1).forEach((token) => {
+            parent = parent[token];
+        });
+        let last = t.rest[t.rest.length - 1];
+        if (Array.isArray(parent)) {
+            parent.splice(Number.parseInt(last), 1);
         } else {
-            control._hide();
+            delete parent[last];
         }
 
-        // Subscribe to filter property events for newly created controls
-        Object.keys(parentControl._filterMonitorProperties).forEach(
-            (propertyName) => {
-                control._filterCallbacks[propertyName] = control.on(
-                    propertyName,
-                    () => {
-                        if (
-                            parentControl._filterFunction &&
-                            parentControl._filterFunction(control)
-                        ) {
-                            control._show();
-                        } else {
-                            control._hide();
+        t.control._bypassNotify = true;
+        t.control[t.property] = v;
+    }
+
+    /**
+     * Convert 'data' event data to JSON Patch operations
+     * @param {object} data - Data as emitted by the 'data' event of this control
+     * @param {string} prefix - [Optional] JSON pointer prefix
+     * @returns {Array} - JSON Patch operations
+     */
+    _toPatch(data, prefix = "") {
+        let ops = [];
+
+        Object.keys(data).forEach((k) => {
+            let path = `${prefix}/${this.__pointerEscape(k)}`;
+            let v = data[k];
+
+            if (this.__isPlainObject(v)) {
+                if (v.remove === true) {
+                    ops.push({ op: "remove", path: path });
+                } else if (v.controlType != undefined) {
+                    ops.push({ op: "add", path: path, value: v });
+                } else if (this._controls[k]) {
+                    ops.push(...this._controls[k]._toPatch(v, path));
+                } else if (
+                    this.__isArrayDelta(v) &&
+                    Array.isArray(this._properties[k])
+                ) {
+                    // Convert array splices to remove and add operations
+                    v.splice.forEach(([start, deleteCount, ...items]) => {
+                        for (let i = 0; i < deleteCount; i++) {
+                            ops.push({
+                                op: "remove",
+                                path: `${path}/${start}`,
+                            });
                         }
-                    },
-                    { caller: parentControl }
-                );
+                        items.forEach((item, i) => {
+                            ops.push({
+                                op: "add",
+                                path: `${path}/${start + i}`,
+                                value: item,
+                            });
+                        });
+                    });
+                } else {
+                    // Object properties are notified as partial data: Replace with the full value
+                    ops.push({
+                        op: "replace",
+                        path: path,
+                        value: this.__clone(this._properties[k]),
+                    });
+                }
+            } else {
+                ops.push({ op: "replace", path: path, value: v });
             }
-        );
-
-        // Run (overridden) control initialisation logic
-        control.Init();
-        control._init = true;
-
-        // Notify that initialization is done
-        control.emit("init", control);
-        parentControl.emit(control.name, control);
-        parentControl.emit("newChildControl", control);
+        });
 
-        // Remove control from the queue
-        parentControl._htmlElementQueue[element].shift();
+        return ops;
+    }
 
-        // Add html of subsequent controls in the queue
-        if (
-            parentControl._htmlElementQueue[element] != undefined &&
-            parentControl._htmlElementQueue[element].length > 0
-        ) {
-            parentControl._addHtml(element);
+    // Emit the 'patch' event with the JSON Patch equivalent of the passed 'data' event data (if enabled)
+    _emitPatch(data, meta) {
+        if (this.patchEvents) {
+            this.emit("patch", this._toPatch(data), undefined, meta);
         }
+    }
 
-        // Add queued child controls
-        while (control._htmlControlQueue.length > 0) {
-            control._addHtmlQueue(control._htmlControlQueue.shift());
+    /**
+     * Parse a JSON pointer into an array of (unescaped) tokens
+     * @param {string} pointer
+     * @returns {Array}
+     */
+    __pointerParse(pointer) {
+        if (pointer == "" || pointer == undefined) return [];
+        if (pointer[0] != "/") {
+            throw new Error(`Invalid JSON pointer "${pointer}"`);
         }
+        return pointer
+            .slice(1)
+            .split("/")
+            .map((t) => t.replace(/~1/g, "/").replace(/~0/g, "~"));
     }
 
-    _htmlPollElementId(id) {
-        document.getElementById(id);
+    // Escape a JSON pointer token
+    __pointerEscape(token) {
+        return `${token}`.replace(/~/g, "~0").replace(/\//g, "~1");
     }
 
     /**
-     * Checks if the passed object is an array.
-     * @returns Array with passed array elements. If passed element is not an array, passes an array with one element.
+     * Deep clone plain objects, arrays and dates. Other objects (e.g. elements, maps or class instances) are copied by reference.
+     * @param {*} value
+     * @returns {*} - Cloned value
      */
-    __array(data) {
-        if (data != null && data != undefined) {
-            if (Array.isArray(data)) {
-                return data;
-            } else {
-                let a = [];
-                a.push(data);
-                return a;
-            }
-        } else {
-            return [];
+    __clone(value) {
+        if (Array.isArray(value)) {
+            return value.map((v) => this.__clone(v));
+        } else if (this.__isDate(value)) {
+            return new Date(value.getTime());
+        } else if (this.__isPlainObject(value)) {
+            let c = {};
+            Object.keys(value).forEach((k) => {
+                c[k] = this.__clone(value[k]);
+            });
+            return c;
         }
+        return value;
     }
 
     /**
-     * Parse html of a control, and creates properties for parsed elements identified with @{identifier} tags.
-     * Currently only html element id's are supported.
-     * @param {string} html
-     * @returns {Object} - Object with modified html (identifier tags replaced with unique ID's) and data binding data.
+     * Deep compare plain objects, arrays and dates. Other objects are compared by reference.
+     * @param {*} a
+     * @param {*} b
+     * @returns {boolean} - True if equal
      */
-    _parseHtml(control) {
-        var html = control.html;
-        let eDataList = []; // element data list
-        let idList = {}; // id list
+    __equal(a, b) {
+        if (a === b) return true;
+        if (this.__isDate(a) && this.__isDate(b)) {
+            return a.getTime() == b.getTime();
+        }
+        if (Array.isArray(a) && Array.isArray(b)) {
+            return (
+                a.length == b.length && a.every((v, i) => this.__equal(v, b[i]))
+            );
+        }
+        if (!this.__isPlainObject(a) || !this.__isPlainObject(b)) {
+            return false;
+        }
 
-        // Extract HTML elements with class properties inserted with @{identifier} tags
-        let eList = this.__array(
-            html.match(
-                /<[^<]*>[ |\t|\n]*@{[_a-zA-Z0-9]*}[ |\t|\n]*<\/[^<]*>|<[^<]*@{[_a-zA-Z0-9]*}[^<]*(>[^>]*<\/[^<]*>|[\/]?>)/gim
+        let ka = Object.keys(a);
+        let kb = Object.keys(b);
+        return (
+            ka.length == kb.length &&
+            ka.every(
+                (k) =>
+                    Object.prototype.hasOwnProperty.call(b, k) &&
+                    this.__equal(a[k], b[k])
             )
         );
-        eList.forEach((elementHtml) => {
-            var elementHtml_new = elementHtml;
-
-            // Extract the element type
-            let eType = this.__array(elementHtml.match(/^<[a-zA-Z]*[0-9]?/gim));
-            if (eType.length > 0) {
-                eType = eType[0].replace("<", "").toLowerCase();
-            } else {
-                console.log(
-                    `${control.name}: Unable to parse element: Element type not set.`
-                );
-                return;
-            }
-
-            // Ignore elements in ignore map
-            if (__ignoreMap.elements[eType]) return;
+    }
 
-            // Element data
-            let eData = { elementType: eType, attributes: {} };
+    /**
+     * Get a list of all nested child controls (depth first)
+     * @returns {Array}
+     */
+    _descendants() {
+        let list = [];
+        Object.values(this._controls).forEach((c) => {
+            list.push(c, ...c._descendants());
+        });
+        return list;
+    }
 
-            let tagList = [];
+    /**
+     * Sets a javascript data object, and updates values, creates and removes controls as applicable.
+     * @param {object} data - Object data to be set
+     * @returns {Promise} - Promise resolving when all child controls created through the passed data (including nested child controls) are initialized.
+     * Child controls deferred by a virtualized container (see virtualize()) are not initialized yet when the promise resolves: use whenReady() to wait for Init().
+     */
+    Set(data) {
+        let pending = []; // Promises of child control creation and child controls' Set() calls
+        let create = []; // New child controls to be created
 
-            // Extract all instances of @{identifier} tags
-            this.__array(
-                elementHtml.match(
-                    /[a-zA-Z]*\=["|']?@{[_a-zA-Z0-9]*}|>[ |\t|\n]*@{[_a-zA-Z0-9]*}[ |\t|\n]*</gim
-                )
-            ).forEach((tData) => {
-                // Get attribute type
-                let aType = this.__array(tData.match(/[a-zA-Z]+=/gim));
-                if (aType.length > 0) {
-                    aType = aType[0].replace("=", "");
-                } else {
-                    aType = "textContent";
+        if (data && typeof data == "object") {
+            Object.keys(data).forEach((k) => {
+                // Check for remove command
+                if (k == "remove") {
+                    if (data[k] == true) {
+                        this._parent.RemoveChild(this.name);
+                    }
                 }
-
-                // Ignore attributes in ignore map
-                if (__ignoreMap.attributes[aType]) return;
-
-                // Get the indentifier tag
-                let tag = this.__array(tData.match(/@{[_a-zA-Z0-9]*}/gim))[0]
-                    .replace("@{", "")
-                    .replace("}", "");
-                tagList.push(tag);
-
-                // Add attribute
-                if (!eData.attributes[aType]) {
-                    eData.attributes[aType] = tag;
-                } else {
-                    console.log(
-                        `${control.name}: Unable to link property "${tag}" to element "${eType}" attribute "${aType}": duplicate attribute`
-                    );
+                // Ignore invalid and special keys, and computed properties
+                else if (
+                    k[0] != "_" &&
+                    k != "controlType" &&
+                    !this._computed[k]
+                ) {
+                    // Update this control's settable (not starting with "_") properties
+                    if (
+                        Object.prototype.hasOwnProperty.call(
+                            this._properties,
+                            k
+                        )
+                    ) {
+                        if (
+                            Array.isArray(this._properties[k]) &&
+                            this.__isArrayDelta(data[k])
+                        ) {
+                            // Apply array splices
+                            this._bypassNotify = true;
+                            this[k] = this.__applySplices(
+                                this.__clone(this._properties[k]),
+                                data[k].splice
+                            );
+                        } else if (
+                            this.__isPlainObject(this._properties[k]) &&
+                            this.__isPlainObject(data[k])
+                        ) {
+                            // Merge partial data into object properties
+                            this._bypassNotify = true;
+                            this[k] = this.__applyDiff(
+                                this.__clone(this._properties[k]),
+                                data[k]
+                            );
+                        } else if (
+                            (data[k] != null && data[k] != undefined) ||
+                            this._getSchema()[k]
+                        ) {
+                            // Null and undefined values are handled by the schema (if declared)
+                            this._bypassNotify = true;
+                            this[k] = data[k];
+                        } else if (!this.__isDate(this[k])) {
+                            // Prevent properties to be set to undefined or null: Reset to the empty value of the property type
+                            this._bypassNotify = true;
+                            this[k] = Array.isArray(this[k])
+                                ? []
+                                : this.__isPlainObject(this[k])
+                                ? {}
+                                : { number: 0, string: "", boolean: false }[
+                                      typeof this[k]
+                                  ];
+                        }
+                    }
+                    // Update child controls. If a child control shares the name of a settable property, the child control will not receive data.
+                    else if (this._controls[k] != undefined) {
+                        pending.push(this._controls[k].Set(data[k]));
+                    }
+                    // Create a new child control if the passed data has controlType set. If this control is not ready yet (Init did not run yet),
+                    // new child controls are added to the DOM when this control is initialized.
+                    else if (
+                        data[k] != null &&
+                        data[k].controlType != undefined
+                    ) {
+                        create.push({ data: data[k], name: k });
+                    }
                 }
             });
+        }
 
-            if (!eData.attributes.id) {
-                // Check element for existing (invalid) ID
-                if (elementHtml.match(/[ |\t]+id=/gim)) {
-                    console.log(
-                        `${control.name}: Unable to link properties to element "${eType}": Invalid element ID - ID not an @{identifier} tag)`
-                    );
-                    return;
-                } else {
-                    // Create element ID if element does not have an ID specified
-                    // Use the same name for the element object reference (to be created) and the element id
-                    let id = `${control._uuid}_id_${this._generateUuid()}`;
-                    eData.attributes.id = id;
-                    idList[id] = id;
+        if (create.length > 0) {
+            pending.push(this._createControls(create));
+        }
 
-                    elementHtml_new = elementHtml_new.replace(
-                        /^<[a-zA-Z]*/gim,
-                        `<${eType} id="${id}"`
-                    );
-                }
-            } else if (!idList[eData.attributes.id]) {
-                idList[
-                    eData.attributes.id
-                ] = `${eData.attributes.id}_${control._uuid}`;
+        return Promise.all(pending).then(() => {});
+    }
+
+    /**
+     * Depreciated. Use Set().
+     */
+    SetData(data) {
+        return this.Set(data);
+    }
+
+    /**
+     * Wait for this control to be initialized
+     * @returns {Promise} - Promise resolving with this control after Init() has been called. Rejects if the control is removed before it is initialized.
+     * Controls in a virtualized container (see virtualize()) are initialized when scrolled into view.
+     */
+    whenReady() {
+        return new Promise((resolve, reject) => {
+            if (this._init) {
+                resolve(this);
+                return;
             }
 
-            // Remove JavaScript only attributes from HTML
-            Object.keys(eData.attributes).forEach((attribute) => {
-                if (
-                    __bindingMap[eType] &&
-                    __bindingMap[eType][attribute] &&
-                    __bindingMap[eType][attribute].jsOnly
-                ) {
-                    // Update element html
-                    let r = new RegExp(
-                        `${attribute}=[ |\t]*["|']?@\{${eData.attributes[attribute]}\}["|']?`,
-                        "gmi"
-                    );
-                    elementHtml_new = elementHtml_new.replace(r, "");
-                }
+            let onRemove = this.once("remove", () => {
+                reject(
+                    new Error(
+                        `${this.name}: Control removed before it was initialized`
+                    )
+                );
             });
 
-            // Update element with tag values
-            //      filter unique values tags assigned to the element ID
-            tagList
-                .filter((v, i, a) => a.indexOf(v) === i)
-                .filter((t) => t != eData.attributes.id)
-                .forEach((tag) => {
-                    // Validate tag
-                    if (control[tag] != undefined) {
-                        // Update element html
-                        let r = new RegExp(`@\{${tag}\}`, "gmi");
-                        elementHtml_new = elementHtml_new.replace(
-                            r,
-                            control[tag]
-                        );
-                    }
-                });
+            this._initPromise.then(() => {
+                this.off("remove", onRemove);
+                resolve(this);
+            });
+        });
+    }
 
-            // Update html with updated element
-            html = html.replace(elementHtml, elementHtml_new);
+    /**
+     * Wait for a child control to be created and initialized
+     * @param {string} name - Name of the child control
+     * @param {object} options - [Optional] { timeout: [milliseconds] } - timeout: Reject if the child control is not initialized within the given time. Default: no timeout.
+     * @returns {Promise} - Promise resolving with the child control. Rejects if the child control cannot be created (e.g. when the control class cannot be loaded), if this control is removed, or if the timeout expires.
+     */
+    whenChild(name, options = {}) {
+        return new Promise((resolve, reject) => {
+            let child = this._controls[name];
+            if (child && child._init) {
+                resolve(child);
+                return;
+            }
 
-            eDataList.push(eData);
-        });
+            // Child control creation already failed
+            if (!child && this._createErrors[name]) {
+                reject(new Error(this._createErrors[name]));
+                return;
+            }
 
-        // Replace all id @{identifier} tags with the generated element id's
-        let idArr = [];
-        Object.keys(idList).forEach((id) => {
-            let r = new RegExp(`@\{${id}\}`, "gmi");
-            html = html.replace(r, idList[id]);
+            let timer;
+            let done = (callback, result) => {
+                clearTimeout(timer);
+                this.off(name, onCreate);
+                this.off(`_createError_${name}`, onError);
+                this.off("remove", onRemove);
+                callback(result);
+            };
 
-            // Convert id list to array
-            idArr.push({ id: id, elementID: idList[id] });
-        });
+            // The [controlName] event is emitted on the parent after the child control is initialized
+            let onCreate = this.on(name, (control) => {
+                done(resolve, control);
+            });
+            let onError = this.on(`_createError_${name}`, (message) => {
+                done(reject, new Error(message));
+            });
+            let onRemove = this.on("remove", () => {
+                done(
+                    reject,
+                    new Error(
+                        `${this.name}: Control removed while waiting for child control "${name}"`
+                    )
+                );
+            });
 
-        return { html: html, idData: idArr, elementData: eDataList };
+            if (options.timeout > 0) {
+                timer = setTimeout(() => {
+                    done(
+                        reject,
+                        new Error(
+                            `${this.name}: Timed out waiting for child control "${name}"`
+                        )
+                    );
+                }, options.timeout);
+            }
+        });
     }
 
     /**
-     * Create data bindings from @{identifier} tags
+     * Wait for a nested child control to be created and initialized
+     * @param {string} path - Dot separated path of child control names relative to this control (e.g. "rooms.kitchen.lights")
+     * @param {object} options - [Optional] { timeout: [milliseconds] } - timeout: Reject if the full path is not resolved within the given time. Default: no timeout.
+     * @returns {Promise} - Promise resolving with the child control at the end of the path. Rejects with a descriptive error if a control in the path cannot be created, or if the timeout expires.
      */
-    _createDataBindings() {
-        // Create element references
-        while (this._elementIdQueue.length > 0) {
-            let i = this._elementIdQueue.shift();
-            if (this[i.id] == undefined) {
-                this[i.id] = document.getElementById(i.elementID);
-                if (!this[i.id]) {
-                    console.log(
-                        `${this.name}: Unable to create element reference "${i.id}": Element not found`
-                    );
-                }
-            } else {
-                console.log(
-                    `${this.name}: Unable to create element reference "${i.id}": Class property already exists`
-                );
-            }
-        }
+    waitFor(path, options = {}) {
+        let names = path.split(".").filter((n) => n);
+        let deadline =
+            options.timeout > 0 ? Date.now() + options.timeout : undefined;
 
-        // Attribute data binding
-        while (this._elementAttributeQueue.length > 0) {
-            let eData = this._elementAttributeQueue.shift();
+        let next = (control, i) => {
+            if (i >= names.length) return control;
 
-            Object.keys(eData.attributes).forEach((a) => {
-                let prop = eData.attributes[a]; // Property name
-                let elem = this[eData.attributes.id]; // Element reference
+            let timeout;
+            if (deadline) {
+                timeout = Math.max(deadline - Date.now(), 1);
+            }
+
+            return control
+                .whenChild(names[i], { timeout: timeout })
+                .then((child) => next(child, i + 1));
+        };
 
-                // Subscribe to element changes for supported elements
-                this._bind(eData.elementType, elem, a, prop);
+        return Promise.resolve()
+            .then(() => next(this, 0))
+            .catch((err) => {
+                throw new Error(
+                    `${this.name}: Unable to resolve path "${path}". ${err.message}`
+                );
             });
-        }
     }
 
     /**
-     * Bind a property value to an element attribute. Changes are also notified
-     * @param {*} elementType
-     * @param {*} element
-     * @param {*} attribute
-     * @param {*} property
+     * Create new child controls from data. Batches are processed in the order they are passed.
+     * @param {Array} list - Array of { data: [control data structure (may include child controls)], name: [control name] }
+     * @returns {Promise} - Promise resolving when the created controls (including nested child controls) are initialized
      */
-    _bind(elementType, element, attribute, property) {
-        if (
-            attribute != "id" &&
-            (typeof this[property] != "object" || Array.isArray(this[property]))
-        ) {
-            let e = elementType;
-            // Set element type to _default if element + attribute combination is not found in map.
-            if (!__bindingMap[e] || !__bindingMap[e][attribute]) e = "_default";
+    _createControls(list) {
+        let created = this._createQueue.then(() => this._createBatch(list));
 
-            if (__bindingMap[e] && __bindingMap[e][attribute]) {
-                // Set initial value for JavaScript only attributes
-                if (__bindingMap[e][attribute].jsOnly)
-                    element[attribute] = this[property];
+        // Wait for the previous batch to be created (but not initialized) before creating the next batch
+        this._createQueue = created.catch(() => {});
 
-                this.__bind(
-                    element,
-                    attribute,
-                    __bindingMap[e][attribute].event,
-                    property
-                );
-            } else {
-                console.log(
-                    `${this.name}: Unable to bind element "${elementType}" attribute "${attribute}" to property "${property}": Unsupported attribute`
-                );
-            }
-        }
+        return created.then((ready) => Promise.all(ready));
     }
 
-    __bind(element, attribute, event, property) {
-        // Flags to prevent double events
-        let block1 = false;
-        let block2 = false;
+    /**
+     * Create a batch of new child controls. Control classes are loaded before the controls are created. The created controls are added to the DOM
+     * together, or queued to be added when this control is initialized.
+     * @param {Array} list - Array of { data: [control data structure], name: [control name] }
+     * @returns {Promise} - Promise resolving to an array of promises resolving when the created controls (including nested child controls) are initialized
+     */
+    async _createBatch(list) {
+        // Load the classes of all new control types
+        await Promise.all(
+            list
+                .map((c) => c.data.controlType)
+                .filter((t, i, a) => a.indexOf(t) === i)
+                .map((t) =>
+                    this._loadScript(t).catch((err) => {
+                        console.log(err);
+                    })
+                )
+        );
 
-        // Subscribe to property change
-        this.on(property, (val) => {
-            if (!block1) {
-                block2 = true;
-                element[attribute] = val;
-                block2 = false;
+        let controls = [];
+        let ready = [];
+        list.forEach((c) => {
+            // Check if control already exists. This is needed to prevent creation of duplicate controls if Set() is executed more than once for the same control.
+            if (this._controls[c.name]) {
+                // Set control child data
+                ready.push(this._controls[c.name].Set(c.data));
+            } else {
+                let r = this._newControl(c.data, c.name);
+                if (r) {
+                    controls.push(r.control);
+                    ready.push(r.ready);
+                }
             }
         });
 
-        if (event) {
-            if (!element || !element.addEventListener) {
-                console.log(
-                    `${this.name}: Unable to add event listner "${event}" for property "${property}": Invalid element`
-                );
-                return;
+        // Add the new controls to the DOM, or add to html controls queue if this control is not initialized yet
+        if (controls.length > 0) {
+            if (!this._init) {
+                this._htmlControlQueue.push(...controls);
+            } else {
+                this._attachControls(controls);
             }
-            // Subscribe to element event
-            element.addEventListener(event, () => {
-                if (!block2) {
-                    // Parse value
-                    let v;
-                    switch (typeof this[property]) {
-                        case "string":
-                            v = element[attribute].toString();
-                            break;
-                        case "number":
-                            v = Number.parseFloat(
-                                element[attribute].toString()
-                            );
-                            break;
-                        case "boolean":
-                            v = element[attribute].toString() === "true";
-                            break;
-                        default:
-                            console.log(
-                                `${this.name}: Unable to process element changes "${event}" for property "${property}": Unsupported property type (property not string, number or boolean)`
-                            );
-                            break;
-                    }
-
-                    if (v != undefined) {
-                        block1 = true;
-                        this[property] = v;
-                        block1 = false;
-                    } else {
-                        console.log(
-                            `${this.name}: Unable to process element changes "${event}" for property "${property}": Invalid value (value not string, number or boolean)`
-                        );
-                    }
-                }
-            });
         }
+
+        return ready;
     }
 
     /**
-     * Get control data as an javascript object
-     * @param {Object} options - { sparse: false/true (true [default]: Do not return empty properties; false: Return empty properties;) }
-     * @returns
+     * Create a new child control from data. The control class should be loaded before calling this function.
+     * @param {object} data - Control data structure. (May include child controls.)
+     * @param {string} name - Control name
+     * @returns {object} - { control: [new control], ready: [promise resolving when the control and its child controls are initialized, or when the control's data is set if the control is deferred by a virtualized container] }, or undefined if the control class is not found.
      */
-    Get(options = { sparse: true }) {
-        var data = {};
+    _newControl(data, name) {
+        let controlClass = this._getDynamicClass(data.controlType);
+
+        // Check that the class is loaded
+        if (!controlClass) {
+            let message = `${this.name}: Unable to create control "${name}": Unknown control type "${data.controlType}". Register the control class with ui.register() (or set ui.evalFallback = true to resolve global class names).`;
+            console.log(message);
+
+            // Notify whenChild() / waitFor() callers
+            this._createErrors[name] = message;
+            this.emit(`_createError_${name}`, message);
+            return;
+        }
 
-        // Get own properties
-        Object.getOwnPropertyNames(this._properties).forEach((k) => {
-            if (
-                (options.sparse && this._properties[k] != "") ||
-                !options.sparse
-            ) {
-                data[k] = this._properties[k];
-            }
-        });
+        delete this._createErrors[name];
 
-        // Get child controls properties
-        Object.keys(this._controls).forEach((k) => {
-            if (
-                this._controls[k].Get != undefined &&
-                !this._controls[k].hideData
-            ) {
-                data[k] = this._controls[k].Get(options);
-            }
+        // Create new control
+        let control = new controlClass();
+        control.name = name;
+        control.controlType = data.controlType;
+        control._parent = this;
+        control._path = this._path;
+
+        // Set reference to top level parent
+        if (this._topLevelParent) {
+            control._topLevelParent = this._topLevelParent;
+        } else {
+            control._topLevelParent = this;
+        }
+
+        // Apply css style sheets
+        control._styles.forEach(async (s) => {
+            await this.ApplyStyle(s);
+
+            // To do: test if styles are loaded before continuing.
         });
 
-        return data;
-    }
+        // Create getters and setters for the control's properties
+        control._createProperties();
 
-    /**
-     * Depreciated. Use Get().
-     */
-    GetData(options = { sparse: true }) {
-        return this.Get(options);
-    }
+        // Create computed properties
+        control._createComputed();
 
-    /**
-     * Remove child control
-     * @param {*} control - Name of the child control
-     */
-    RemoveChild(control) {
-        if (this._controls[control] != undefined) {
-            let c = this._controls[control];
+        // Add new control to controls list
+        this._controls[name] = control;
+        this._controlList.push(control);
 
-            // Emit remove event
-            c.emit("remove", c);
+        // Add a direct reference to the control in this control
+        this[name] = control;
 
-            this._controls[control].RemoveHtml();
-            delete this._controls[control];
-            delete this[control];
+        // Subscribe to the orderBy and orderAsc events on child controls (used for sorting their child controls)
+        control.on("orderBy", this._order.bind(control), {
+            caller: control,
+        });
+        control.on("orderAsc", this._order.bind(control), {
+            caller: control,
+        });
+        // Subscribe to the pageSize and page events on child controls (used for paging their filtered child controls)
+        control.on("pageSize", this._paginate.bind(control), {
+            caller: control,
+        });
+        control.on("page", this._paginate.bind(control), {
+            caller: control,
+        });
+        // Subscribe to the groupBy event on child controls (used for grouping their child controls)
+        control.on("groupBy", this._group.bind(control), {
+            caller: control,
+        });
 
-            let sortedIndex = this._sorted.findIndex((t) => t.name == c.name);
-            if (sortedIndex >= 0) this._sorted.splice(sortedIndex, 1);
+        // Record the new control in the undo history, and ignore changes while the control's initial data is set
+        this._recordHistory({ type: "create", name: name });
+        control._creating = true;
 
-            // Unregister from all events
-            c.clearEvents();
+        // Set control child data
+        let childrenReady = control.Set(data);
+
+        // Compute persistent computed properties (subscribing to their dependencies)
+        Object.keys(control._computed).forEach((k) => {
+            if (control._computed[k].persistent) control._compute(k);
+        });
+        // Controls deferred by a virtualized container are ready when their data is set, and are only initialized when scrolled into view (see virtualize())
+        let deferred = new Promise((resolve) => {
+            control.__resolveDeferred = resolve;
+        });
+        let ready = Promise.race([
+            Promise.all([control._initPromise, childrenReady]),
+            deferred,
+        ]);
+        let created = () => {
+            control._creating = false;
+        };
+        ready.then(created, created);
+
+        // Add the control to the sorted child controls, and subscribe to the child control's sort properties after control.Set() to avoid triggering prop events on control creation (sorting of the HTML elements on control creation is handled by _attachControls())
+        if (this._sortActive()) {
+            this._sorted.splice(this._sortIndex(control), 0, control);
+            this._subscribeOrder(control);
         }
+        this._filterChanged();
+
+        // Control interal event subscriptions. Event subscriptions deliberately are done after control data is set
+        // (i.e. they will not emit on control creation).
+        // This is done to prevent unexpected behavior before the control is completely initialised. Any initial values are
+        // set individually where needed.
+        control.on("visible", () => {
+            control._parent._filterSingle(control);
+        });
+        control.on("cssText", (val) => {
+            if (control._element) control._element.style.cssText = val;
+        });
+        control.on("cssClass", (val) => {
+            if (control._element) control._element.className = val;
+        });
+
+        return {
+            control: control,
+            ready: ready,
+        };
     }
 
     /**
-     * Apply a CSS stylesheet to the DOM
-     * @param {*} ref - URL or reference to the stylesheet file
+     * Create getters and setters for this control's settable properties (including properties declared in the schema). Property changes are notified and emitted as property events.
      */
-    ApplyStyle(ref) {
-        return new Promise((resolve, reject) => {
-            if (!this._appliedStyles.includes(ref)) {
-                this._appliedStyles.push(ref);
-                if (this._parent != undefined) {
-                    return this._parent.ApplyStyle(ref);
-                } else {
-                    let l = document.styleSheets.length;
-                    let t = setInterval(() => {
-                        if (document.styleSheets.length > l) {
-                            resolve();
-                            clearInterval(t);
-                        }
-                    }, 10);
+    _createProperties() {
+        this._propertiesCreated = true;
+
+        // Initialize properties declared in the schema but not in the control class
+        let schema = this._getSchema();
+        Object.keys(schema).forEach((k) => {
+            if (this[k] === undefined && k[0] != "_") {
+                if (schema[k].default !== undefined) {
+                    this[k] = this.__clone(schema[k].default);
+                } else if (schema[k].type != undefined) {
+                    this[k] = {
+                        number: 0,
+                        string: "",
+                        boolean: false,
+                        array: [],
+                        object: {},
+                        date: new Date(0),
+                    }[schema[k].type];
+                }
+            }
+        });
 
-                    // ref https://stackoverflow.com/questions/11833759/add-stylesheet-to-head-using-javascript-in-body
-                    let head = document.head;
-                    let link = document.createElement("link");
+        // Create getters and setters
+        Object.getOwnPropertyNames(this).forEach((k) => {
+            // Only return settable (not starting with "_") properties. The event list (Dispatcher) is not control data.
+            // Plain object and Date values are only created as (observed) properties if declared in the schema with type "object" or "date",
+            // and are otherwise kept as plain class fields (e.g. for references to elements or other instances).
+            let isObject =
+                this.__isPlainObject(this[k]) || this.__isDate(this[k]);
+            if (
+                k[0] != "_" &&
+                k != "events" &&
+                this.__isSettable(this[k]) &&
+                (!isObject ||
+                    (schema[k] && ["object", "date"].includes(schema[k].type)))
+            ) {
+                let isArray = Array.isArray(this[k]);
+
+                // Store property value in _properties list
+                this._properties[k] =
+                    isObject || isArray ? this.__clone(this[k]) : this[k];
+
+                // Create getter and setter
+                Object.defineProperty(this, k, {
+                    get: function () {
+                        this._trackDependency(k);
+                        if (isArray) return this._observeArray(k);
+                        if (!isObject) return this._properties[k];
+
+                        // Return an observable proxy for plain objects, and an observable copy of dates
+                        return this.__isDate(this._properties[k])
+                            ? this._observeDate(k)
+                            : this._observe(k);
+                    },
+                    set: function (val) {
+                        // Validate and coerce the value against the schema
+                        let validation = this._validateProperty(k, val);
+                        if (!validation.valid) {
+                            this._bypassNotify = false;
+                            return;
+                        }
+                        val = validation.value;
 
-                    link.type = "text/css";
-                    link.rel = "stylesheet";
-                    link.href = this._path + "/" + ref;
+                        if (isObject) {
+                            this._setObjectProperty(k, val);
+                            return;
+                        }
+                        if (isArray) {
+                            this._setArrayProperty(k, val);
+                            return;
+                        }
 
-                    head.appendChild(link);
-                }
-            } else {
-                resolve();
+                        // Only emit property changes
+                        if (this._properties[k] != val) {
+                            let oldVal = this._properties[k];
+                            this._properties[k] = val;
+                            this._recordHistory({
+                                type: "set",
+                                property: k,
+                                oldValue: oldVal,
+                                newValue: val,
+                            });
+                            if (!this._bypassNotify) {
+                                this.NotifyProperty(k);
+                            } else {
+                                this._bypassNotify = false;
+                            }
+                            this.emit(k, val);
+                        } else {
+                            this._bypassNotify = false;
+                        }
+                    },
+                });
             }
         });
     }
 
     /**
-     * Load the javascript file for the passed data.controlType. Re-applies the passed data to the callerControl when the script has been loaded so that the callerControl can create the child control.
+     * Add child controls' HTML to the DOM (or to the headless renderer), and initialize the child controls in tree order. The HTML of the child controls
+     * is added with a single DocumentFragment per container element. Should only be called when this control is initialized.
+     * @param {Array} controls - Child controls to be added
+     */
+    _attachControls(controls) {
+        let fragments = new Map();
+        let attached = [];
+
+        // Controls in a virtualized container are added when scrolled into view (see virtualize())
+        let v = this._virtual;
+        if (v && !v.rendering) {
+            let deferred = controls.filter((c) => c.parentElement == v.element);
+            if (deferred.length > 0) {
+                controls = controls.filter((c) => c.parentElement != v.element);
+                deferred.forEach((c) => {
+                    if (c.__resolveDeferred) c.__resolveDeferred();
+                });
+                this._scheduleVirtual(true);
+            }
+        }
+
+        controls.forEach((control) => {
+            // Controls are initialized without HTML in headless mode, and server rendered HTML is reused when hydrating.
+            if (control._headless || this._hydrateElement(control)) {
+                attached.push(control);
+                return;
+            }
+
+            // Grouped child controls are added to their group control's container element
+            if (this._grouped() && control.parentElement == "_controlsDiv") {
+                this._assignGroup(control);
+            }
+
+            let container = this._containerOf(control);
+            if (!container || !container.appendChild) {
+                console.log(
+                    `Unable to add HTML to element "${control.parentElement}" in control "${this.name}". Element not found.`
+                );
+                return;
+            }
+
+            // Parse control html
+            let p = this._parseHtml(control);
+
+            // Add element ids for data binding
+            control._elementIdQueue.push(...p.idData);
+
+            // Add element attributes for data binding
+            control._elementAttributeQueue.push(...p.elementData);
+
+            // Print HTML of child control into it's own top level element
+            control._element.innerHTML = p.html;
+
+            if (!fragments.has(container)) {
+                fragments.set(container, document.createDocumentFragment());
+            }
+            fragments.get(container).appendChild(control._element);
+
+            attached.push(control);
+        });
+
+        // Add the child controls' top level elements to the container elements
+        fragments.forEach((fragment, container) => {
+            container.appendChild(fragment);
+        });
+
+        // Apply sort order to the added elements
+        if (this._sortActive() && fragments.size > 0) {
+            this._applyOrder();
+        }
+
+        // Initialize the child controls (and their queued child controls) in tree order
+        attached.forEach((control) => {
+            this._initControl(control);
+        });
+    }
+
+    /**
+     * Initialize a child control of which the HTML has been added to the DOM. In headless mode, the control is passed to the renderer (if any) of the top level parent.
+     * @param {object} control - Child control to be initialized
+     */
+    _initControl(control) {
+        let parentControl = this;
+
+        if (control._headless) {
+            let renderer = (this._topLevelParent || this)._renderer;
+            if (renderer && typeof renderer.add == "function") {
+                renderer.add(control, this);
+            }
+        } else {
+            // Data bind values from @{identifier} tags
+            control._createDataBindings();
+
+            // Apply css to the control's containing _element
+            control._element.style.cssText = control.cssText;
+            control._element.className = control.cssClass;
+            control._visibleDisplayCss = control._element.style.display;
+        }
+
+        // Set initial visibility
+        parentControl._filterSingle(control);
+
+        // Subscribe to filter property events for newly created controls
+        parentControl._subscribeFilter(control);
+
+        // Run (overridden) control initialisation logic
+        if (control._headless) {
+            // Init() logic that depends on the DOM should check control._headless.
+            try {
+                control.Init();
+            } catch (err) {
+                console.log(
+                    `${control.name}: Unable to initialize control in headless mode. ${err.message}`
+                );
+            }
+        } else {
+            control.Init();
+        }
+        control._init = true;
+        control.__resolveInit();
+
+        // Add a drag handle to child controls in a reorderable container
+        if (
+            parentControl._reorder &&
+            control.parentElement == parentControl._reorder.element
+        ) {
+            parentControl._addDragHandle(control);
+        }
+
+        // Notify that initialization is done
+        control.emit("init", control);
+        parentControl.emit(control.name, control);
+        parentControl.emit("newChildControl", control);
+
+        // Add queued child controls
+        if (control._htmlControlQueue.length > 0) {
+            control._attachControls(control._htmlControlQueue.splice(0));
+        }
+    }
+
+    /**
+     * Link a child control to existing server rendered HTML (see uiTopLevelContainer.hydrate()) instead of adding new HTML to the DOM.
+     * @param {object} control - Child control
+     * @returns {boolean} - True if server rendered HTML for the control was found
+     */
+    _hydrateElement(control) {
+        let top = this._topLevelParent || this;
+        let container = this[control.parentElement];
+        if (!top._hydrating || !container || !container.children) {
+            return false;
+        }
+
+        let element = Array.from(container.children).find(
+            (e) => e.getAttribute("data-ui-name") == control.name
+        );
+        if (!element) return false;
+
+        // Use the server generated ID's, so that the element ID's generated by _parseHtml() match the server rendered HTML
+        control._uuid = element.id;
+        control._element = element;
+
+        let p = this._parseHtml(control);
+        control._elementIdQueue.push(...p.idData);
+        control._elementAttributeQueue.push(...p.elementData);
+
+        return true;
+    }
+
+    /**
+     * Render this control's HTML including the HTML of its child controls as a string
+     * @returns {string} - HTML string
+     */
+    _renderHtml() {
+        // The top level container's HTML is not parsed (see uiTopLevelContainer)
+        let p = this._parent
+            ? this._parseHtml(this, { render: true })
+            : { html: this.html, idData: [] };
+        let html = p.html;
+
+        // Element ID's of child control container elements
+        let containerIds = { _controlsDiv: `${this._uuid}_controls` };
+        p.idData.forEach((i) => {
+            containerIds[i.id] = i.elementID;
+        });
+
+        // Group child controls by container element
+        let children = this._controlList.slice();
+        if (this._sortActive()) {
+            children.sort((a, b) => this._compareOrder(a, b));
+        }
+        let containers = {};
+        children.forEach((c) => {
+            if (!containers[c.parentElement]) containers[c.parentElement] = [];
+            containers[c.parentElement].push(c);
+        });
+
+        // Filtered child controls on the current page are displayed
+        let displayed = new Set(this._pageControls());
+
+        // Insert child controls' HTML into their container elements
+        Object.keys(containers).forEach((e) => {
+            if (!containerIds[e]) {
+                console.log(
+                    `${this.name}: Unable to render child controls in element "${e}": Element not found`
+                );
+                return;
+            }
+
+            let r = new RegExp(
+                `<[^>]*[ \t\n]id=["']?${containerIds[e]}["']?[^>]*>`,
+                "m"
+            );
+            let m = html.match(r);
+            if (!m) return;
+
+            let childHtml = containers[e]
+                .map((c) => {
+                    let visible = displayed.has(c);
+                    let style = `${c.cssText}${
+                        c.cssText && !c.cssText.trim().endsWith(";") ? ";" : ""
+                    }display:${
+                        visible ? c.visibleDisplayCss : c.hiddenDisplayCss
+                    }`;
+                    return `<div id="${
+                        c._uuid
+                    }" data-ui-name="${this.__escapeHtml(
+                        c.name
+                    )}" style="${this.__escapeHtml(
+                        style
+                    )}" class="${this.__escapeHtml(
+                        c.cssClass
+                    )}">${c._renderHtml()}</div>`;
+                })
+                .join("");
+
+            let i = m.index + m[0].length;
+            html = html.slice(0, i) + childHtml + html.slice(i);
+        });
+
+        return html;
+    }
+
+    /**
+     * Escape text to be used in HTML text content or attribute values
+     * @param {string} text
+     * @returns {string} - Escaped text
+     */
+    __escapeHtml(text) {
+        return `${text}`
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;")
+            .replace(/'/g, "&#39;");
+    }
+
+    /**
+     * Get the opening tag of an element (excluding the closing ">"). Quoted attribute values and @{} tags may contain ">" characters.
+     * @param {string} elementHtml
+     * @returns {string}
+     */
+    __openingTag(elementHtml) {
+        let quote;
+        let tag = false;
+        for (let i = 0; i < elementHtml.length; i++) {
+            let ch = elementHtml[i];
+            if (tag) {
+                if (ch == "}") tag = false;
+            } else if (quote) {
+                if (ch == quote) quote = undefined;
+                else if (ch == "@" && elementHtml[i + 1] == "{") tag = true;
+            } else if (ch == '"' || ch == "'") {
+                quote = ch;
+            } else if (ch == "@" && elementHtml[i + 1] == "{") {
+                tag = true;
+            } else if (ch == ">") {
+                return elementHtml.slice(0, i);
+            }
+        }
+        return elementHtml;
+    }
+
+    /**
+     * Checks if the passed object is an array.
+     * @returns Array with passed array elements. If passed element is not an array, passes an array with one element.
+     */
+    __array(data) {
+        if (data != null && data != undefined) {
+            if (Array.isArray(data)) {
+                return data;
+            } else {
+                let a = [];
+                a.push(data);
+                return a;
+            }
+        } else {
+            return [];
+        }
+    }
+
+    /**
+     * Find the (outer) template blocks in html: <template if=@{expression}>...</template> and <template each=@{expression} as="item" index="i" key="id">...</template>
+     * @param {ui} control
+     * @param {string} html
+     * @returns {Array} - List of { raw: [block html], block: { type: "if" / "each", template, as, index, key, html: [block content html] } }
+     */
+    __templateBlocks(control, html) {
+        let blocks = [];
+        let r = /<template\b/gi;
+        let m;
+        while ((m = r.exec(html))) {
+            let openingTag = this.__openingTag(html.slice(m.index));
+
+            let attributes = {};
+            let ra =
+                /([a-zA-Z_:][-a-zA-Z0-9_:.]*)[ \t]*=[ \t]*("[^"]*"|'[^']*'|@{[^}]*})/g;
+            let a;
+            while ((a = ra.exec(openingTag))) {
+                attributes[a[1]] = a[2][0] == "@" ? a[2] : a[2].slice(1, -1);
+            }
+            let type = attributes.if != undefined ? "if" : "each";
+            let template = attributes[type];
+            if (template == undefined) continue;
+
+            // Find the matching closing tag
+            let rt = /<template\b|<\/template\s*>/gi;
+            rt.lastIndex = m.index + openingTag.length + 1;
+            let depth = 1;
+            let t;
+            while (depth > 0 && (t = rt.exec(html))) {
+                depth += t[0][1] == "/" ? -1 : 1;
+            }
+            if (depth > 0) {
+                console.log(
+                    `${control.name}: Unable to parse template block "${openingTag}>": Closing tag not found`
+                );
+                break;
+            }
+
+            if (!template.includes("@{")) {
+                console.log(
+                    `${control.name}: Unable to parse template block "${openingTag}>": The ${type} attribute is not an @{} tag`
+                );
+            } else {
+                blocks.push({
+                    raw: html.slice(m.index, rt.lastIndex),
+                    block: {
+                        type: type,
+                        template: template,
+                        as: attributes.as || "item",
+                        index: attributes.index,
+                        key: attributes.key,
+                        html: html.slice(
+                            m.index + openingTag.length + 1,
+                            t.index
+                        ),
+                    },
+                });
+            }
+            r.lastIndex = rt.lastIndex;
+        }
+        return blocks;
+    }
+
+    /**
+     * Parse html of a control, and creates properties for parsed elements identified with @{identifier} tags.
+     * Currently only html element id's are supported.
+     * @param {string} html
+     * @param {object} [options] - { html: [html to be parsed instead of the control html], scope: [template block variables], idPrefix: [element id prefix instead of the control _uuid] } (used for template blocks),
+     * render: [true to render the state of JavaScript only attributes as HTML (used by renderToString())] }
+     * @returns {Object} - Object with modified html (identifier tags replaced with unique ID's) and data binding data.
+     */
+    _parseHtml(control, options = {}) {
+        var html = options.html != undefined ? options.html : control.html;
+        let scope = options.scope;
+        let prefix = options.idPrefix || control._uuid;
+        let eDataList = []; // element data list
+        let idList = {}; // id list
+        let idCount = 0; // Generated element id counter. Generated id's are repeatable for the same control html and _uuid (see _hydrateElement()).
+        let selected = []; // Rendered select element values: { id: [element id], value }
+
+        // Replace template blocks with empty template elements. The block content is rendered after the template element by _bindBlock().
+        this.__templateBlocks(control, html).forEach((b) => {
+            let id = `${prefix}_id_${idCount++}`;
+            idList[id] = id;
+            html = html.replace(
+                b.raw,
+                () => `<template id="${id}"></template>`
+            );
+            eDataList.push({
+                elementType: "template",
+                attributes: { id: id },
+                templates: {},
+                events: [],
+                block: b.block,
+            });
+        });
+
+        // Extract HTML elements with class properties or template expressions inserted with @{} tags
+        let eList = this.__array(
+            html.match(
+                /<[^<]*>[^<]*@{[^}]*}[^<]*<\/[^<]*>|<[^<]*@{[^}]*}[^<]*(>[^>]*<\/[^<]*>|[\/]?>)/gim
+            )
+        );
+        eList.forEach((elementHtml) => {
+            // Extract the element type
+            let eType = this.__array(
+                elementHtml.match(/^<[a-zA-Z][-a-zA-Z0-9]*/gim)
+            );
+            if (eType.length > 0) {
+                eType = eType[0].replace("<", "").toLowerCase();
+            } else {
+                console.log(
+                    `${control.name}: Unable to parse element: Element type not set.`
+                );
+                return;
+            }
+
+            // Ignore elements in ignore map
+            if (__ignoreMap.elements[eType]) return;
+
+            // Element data. attributes: Attributes bound to a single property (two-way binding for supported input elements);
+            // templates: Attributes set from template expressions (e.g. "@{first} @{last}" or "@{price | currency}").
+            // events: DOM event listeners bound to control methods (e.g. on:click.prevent=@{save}).
+            let eData = {
+                elementType: eType,
+                attributes: {},
+                templates: {},
+                events: [],
+            };
+
+            // Extract attributes and text content with @{} tags
+            let openingTag = this.__openingTag(elementHtml);
+            let content = elementHtml.slice(openingTag.length);
+            let openingTag_new = openingTag;
+            let content_new = content;
+            let tagged = []; // { aType: [attribute], template: [template string], raw: [html to be replaced] }
+            let jsOnly = []; // Values of JavaScript only attributes: { aType: [attribute], value }
+            let r =
+                /([a-zA-Z_:][-a-zA-Z0-9_:.]*)[ \t]*=[ \t]*("[^"]*"|'[^']*'|@{[^}]*})/g;
+            let m;
+            while ((m = r.exec(openingTag))) {
+                let value = m[2][0] == "@" ? m[2] : m[2].slice(1, -1);
+
+                // Declarative DOM event listeners: on:event.modifier=@{method} or onevent=@{method}
+                let ev = m[1].match(
+                    /^on(?::([-a-zA-Z0-9_:]+)((?:\.[-a-zA-Z0-9_:]+)*)|([a-z]+))$/
+                );
+                let method = value.match(/^@{[ \t]*([_a-zA-Z0-9.]+)[ \t]*}$/);
+                if (ev && method) {
+                    eData.events.push({
+                        event: ev[1] || ev[3],
+                        modifiers: ev[2] ? ev[2].slice(1).split(".") : [],
+                        method: method[1],
+                    });
+                    openingTag_new = openingTag_new.replace(m[0], "");
+                    continue;
+                }
+
+                if (value.includes("@{")) {
+                    tagged.push({ aType: m[1], template: value, raw: m[0] });
+                }
+            }
+            let text = content.match(/^>([^<]*@{[^<]*)<\//);
+            if (text) {
+                tagged.push({
+                    aType: "textContent",
+                    template: text[1].trim(),
+                    raw: text[1],
+                });
+            }
+
+            tagged.forEach((t) => {
+                // Ignore attributes in ignore map
+                if (__ignoreMap.attributes[t.aType]) return;
+
+                if (eData.attributes[t.aType] || eData.templates[t.aType]) {
+                    console.log(
+                        `${control.name}: Unable to link "${t.template}" to element "${eType}" attribute "${t.aType}": duplicate attribute`
+                    );
+                    return;
+                }
+
+                // Attributes with a single @{identifier} tag are bound to the property. Other tags are template expressions.
+                let simple = t.template.match(
+                    /^@{[ \t]*([_a-zA-Z0-9.]+)[ \t]*}$/
+                );
+                // Tags referring to template block variables are bound one-way.
+                let value;
+                if (simple && !(scope && simple[1].split(".")[0] in scope)) {
+                    eData.attributes[t.aType] = simple[1];
+                    if (t.aType == "id") return;
+                    value = control._getValue(simple[1]);
+                } else {
+                    simple = undefined;
+                    eData.templates[t.aType] = t.template;
+                    value = TemplateExpression.compile(t.template).evaluate(
+                        control,
+                        scope
+                    );
+                }
+
+                // Remove JavaScript only attributes from HTML
+                let binding = this.__getBinding(eType, t.aType);
+                if (t.aType != "textContent" && binding && binding.jsOnly) {
+                    openingTag_new = openingTag_new.replace(t.raw, "");
+                    jsOnly.push({ aType: t.aType, value: value });
+                    return;
+                }
+
+                // Update element html with the tag value
+                if (value != undefined) {
+                    let v = this.__escapeHtml(value);
+                    if (t.aType == "textContent") {
+                        content_new = content_new.replace(t.raw, () =>
+                            t.raw.replace(t.template, () => v)
+                        );
+                    } else {
+                        openingTag_new = openingTag_new.replace(
+                            t.raw,
+                            () => `${t.aType}="${v}"`
+                        );
+                    }
+                }
+            });
+
+            if (!eData.attributes.id) {
+                // Check element for existing (invalid) ID
+                if (openingTag.match(/[ |\t]+id=/gim)) {
+                    console.log(
+                        `${control.name}: Unable to link properties to element "${eType}": Invalid element ID - ID not an @{identifier} tag)`
+                    );
+                    return;
+                } else {
+                    // Create element ID if element does not have an ID specified
+                    // Use the same name for the element object reference (to be created) and the element id
+                    let id = `${prefix}_id_${idCount++}`;
+                    eData.attributes.id = id;
+                    idList[id] = id;
+
+                    openingTag_new = openingTag_new.replace(
+                        /^<[a-zA-Z][-a-zA-Z0-9]*/gim,
+                        () => `<${eType} id="${id}"`
+                    );
+                }
+            } else if (!idList[eData.attributes.id]) {
+                idList[
+                    eData.attributes.id
+                ] = `${eData.attributes.id}_${prefix}`;
+            }
+
+            // Render the state of JavaScript only attributes, so that server rendered HTML shows the state before hydration
+            if (options.render && jsOnly.length) {
+                let r = this.__renderJsOnly(
+                    eType,
+                    openingTag_new,
+                    content_new,
+                    jsOnly
+                );
+                openingTag_new = r.openingTag;
+                content_new = r.content;
+                if (r.select !== undefined) {
+                    selected.push({ id: eData.attributes.id, value: r.select });
+                }
+            }
+
+            // Update html with updated element (replacement functions keep "$" patterns in values from being expanded)
+            html = html.replace(
+                elementHtml,
+                () => openingTag_new + content_new
+            );
+
+            eDataList.push(eData);
+        });
+
+        // Replace all id @{identifier} tags with the generated element id's
+        let idArr = [];
+        Object.keys(idList).forEach((id) => {
+            let r = new RegExp(`@\{${id}\}`, "gmi");
+            html = html.replace(r, () => idList[id]);
+
+            // Convert id list to array
+            idArr.push({ id: id, elementID: idList[id] });
+        });
+
+        // Mark the selected options of rendered select elements
+        selected.forEach((s) => {
+            html = this.__renderSelected(html, idList[s.id], s.value);
+        });
+
+        return { html: html, idData: idArr, elementData: eDataList };
+    }
+
+    /**
+     * Render the state of JavaScript only attributes (see ui.registerBinding()) as HTML: boolean attributes (hidden, disabled, checked and open), class:[name] and style:[property]
+     * attributes and textarea values. Other JavaScript only attributes are only set after hydration.
+     * @param {string} eType - Element type
+     * @param {string} openingTag - Element opening tag (excluding the closing ">")
+     * @param {string} content - Element content (starting with ">")
+     * @param {Array} jsOnly - Attribute values: { aType, value }
+     * @returns {object} - { openingTag, content, select: [value of a select element (if any)] }
+     */
+    __renderJsOnly(eType, openingTag, content, jsOnly) {
+        let classes = [];
+        let styles = [];
+        let select;
+        // Add an attribute before the "/" of self-closing tags
+        let add = (attribute) => {
+            let m = openingTag.match(/[ \t\n]*\/$/);
+            openingTag = m
+                ? openingTag.slice(0, m.index) + attribute + m[0]
+                : openingTag + attribute;
+        };
+        jsOnly.forEach(({ aType, value }) => {
+            if (aType.startsWith("class:")) {
+                if (value) classes.push(aType.slice(6));
+            } else if (aType.startsWith("style:")) {
+                if (value != undefined && value !== "" && value !== false) {
+                    styles.push(`${__cssName(aType.slice(6))}:${value}`);
+                }
+            } else if (aType == "value" && eType == "textarea") {
+                content = content.replace(
+                    /^>[^<]*/,
+                    () =>
+                        `>${this.__escapeHtml(value == undefined ? "" : value)}`
+                );
+            } else if (aType == "value" && eType == "select") {
+                select = value;
+            } else if (
+                ["hidden", "disabled", "checked", "open"].includes(aType)
+            ) {
+                if (value) add(` ${aType}`);
+            }
+        });
+
+        // Merge classes and styles with the class and style attributes
+        [
+            ["class", classes.join(" "), " "],
+            ["style", styles.join(";"), ";"],
+        ].forEach(([name, value, separator]) => {
+            if (!value) return;
+            let m = openingTag.match(
+                new RegExp(`[ \t\n]${name}=("[^"]*"|'[^']*')`)
+            );
+            if (m) {
+                let current = m[1].slice(1, -1);
+                openingTag = openingTag.replace(
+                    m[0],
+                    () =>
+                        ` ${name}="${
+                            current ? current + separator : ""
+                        }${this.__escapeHtml(value)}"`
+                );
+            } else {
+                add(` ${name}="${this.__escapeHtml(value)}"`);
+            }
+        });
+
+        return { openingTag: openingTag, content: content, select: select };
+    }
+
+    /**
+     * Add the selected attribute to the option matching the value of a rendered select element
+     * @param {string} html
+     * @param {string} id - Element id of the select element
+     * @param {*} value - Select element value
+     * @returns {string} - Updated html
+     */
+    __renderSelected(html, id, value) {
+        let r = new RegExp(
+            `(<select[^>]*[ \t\n]id=["']?${id}["']?[^>]*>)([\\s\\S]*?)(<\/select>)`,
+            "i"
+        );
+        let found = false;
+        return html.replace(r, (m, open, options, close) => {
+            options = options.replace(
+                /<option([^>]*)>([^<]*)/gi,
+                (o, attributes, text) => {
+                    let v = attributes.match(/value=("[^"]*"|'[^']*')/i);
+                    v = v ? v[1].slice(1, -1) : text.trim();
+                    if (found || v != this.__escapeHtml(value)) return o;
+                    found = true;
+                    return `<option${attributes} selected>${text}`;
+                }
+            );
+            return open + options + close;
+        });
+    }
+
+    /**
+     * Create data bindings from @{identifier} tags
+     */
+    _createDataBindings() {
+        // Create element references
+        while (this._elementIdQueue.length > 0) {
+            let i = this._elementIdQueue.shift();
+            if (this[i.id] == undefined) {
+                this[i.id] = document.getElementById(i.elementID);
+                if (!this[i.id]) {
+                    console.log(
+                        `${this.name}: Unable to create element reference "${i.id}": Element not found`
+                    );
+                }
+            } else {
+                console.log(
+                    `${this.name}: Unable to create element reference "${i.id}": Class property already exists`
+                );
+            }
+        }
+
+        // Attribute data binding
+        while (this._elementAttributeQueue.length > 0) {
+            let eData = this._elementAttributeQueue.shift();
+            this._bindElement(this[eData.attributes.id], eData);
+        }
+    }
+
+    /**
+     * Bind the attributes, template expressions, DOM events and template block of a parsed element (see _parseHtml())
+     * @param {*} element
+     * @param {object} eData - Element data
+     * @param {object} [scope] - Template block variables
+     * @returns {Array} - List of functions removing the bindings
+     */
+    _bindElement(element, eData, scope) {
+        let unbind = [];
+
+        Object.keys(eData.attributes).forEach((a) => {
+            // Subscribe to element changes for supported elements
+            unbind.push(
+                this._bind(eData.elementType, element, a, eData.attributes[a])
+            );
+        });
+
+        // Template expression binding
+        Object.keys(eData.templates || {}).forEach((a) => {
+            unbind.push(
+                this._bindTemplate(
+                    eData.elementType,
+                    element,
+                    a,
+                    eData.templates[a],
+                    scope
+                )
+            );
+        });
+
+        // DOM event listeners
+        (eData.events || []).forEach((e) => {
+            unbind.push(
+                this._bindEvent(element, e.event, e.modifiers, e.method, scope)
+            );
+        });
+
+        // Template block
+        if (eData.block) {
+            unbind.push(this._bindBlock(element, eData.block, scope));
+        }
+
+        return unbind.filter((f) => f);
+    }
+
+    /**
+     * Bind a property value to an element attribute. Changes are also notified
+     * @param {*} elementType
+     * @param {*} element
+     * @param {*} attribute
+     * @param {*} property
+     */
+    _bind(elementType, element, attribute, property) {
+        let value = this._getValue(property);
+        if (
+            attribute != "id" &&
+            (typeof value != "object" ||
+                Array.isArray(value) ||
+                this.__isDate(value))
+        ) {
+            // Find the binding for the element + attribute combination (falls back to _default)
+            let binding = this.__getBinding(elementType, attribute);
+
+            if (binding) {
+                // Set initial value for JavaScript only attributes
+                if (binding.jsOnly)
+                    this.__write(binding, element, attribute, value);
+
+                let unbind = this.__bind(element, attribute, binding, property);
+
+                // Keep track of text content bindings
+                if (attribute == "textContent") {
+                    if (!this._textBindings[property]) {
+                        this._textBindings[property] = [];
+                    }
+                    this._textBindings[property].push(element);
+                    return () => {
+                        unbind();
+                        let list = this._textBindings[property];
+                        let i = list.indexOf(element);
+                        if (i >= 0) list.splice(i, 1);
+                    };
+                }
+
+                return unbind;
+            } else {
+                console.log(
+                    `${this.name}: Unable to bind element "${elementType}" attribute "${attribute}" to property "${property}": Unsupported attribute`
+                );
+            }
+        }
+    }
+
+    /**
+     * Bind a template expression to an element attribute (one-way). The attribute is updated when any of the properties read by the expression changes.
+     * @param {string} elementType
+     * @param {*} element
+     * @param {string} attribute - Attribute name, or "textContent"
+     * @param {string} template - Template string (e.g. "@{first} @{last}")
+     * @param {object} [scope] - Template block variables
+     * @returns {function} - Function removing the binding
+     */
+    _bindTemplate(elementType, element, attribute, template, scope) {
+        if (!element) return;
+
+        return this._watch(template, scope, (value) => {
+            this.__setElementValue(elementType, element, attribute, value);
+        });
+    }
+
+    /**
+     * Evaluate a template expression, and evaluate it again when any of the properties read by the expression changes
+     * @param {string} template - Template string (e.g. "@{count > 0}")
+     * @param {object} scope - Template block variables
+     * @param {function} callback - Called with the expression value
+     * @returns {function} - Function unsubscribing from the properties read by the expression
+     */
+    _watch(template, scope, callback) {
+        let expression = TemplateExpression.compile(template);
+        let subscribed = [];
+
+        let update = () => {
+            // Evaluate with dependency tracking (see _trackDependency())
+            let deps = [];
+            let value;
+            __dependencyTracker.push(deps);
+            try {
+                value = expression.evaluate(this, scope);
+            } finally {
+                __dependencyTracker.pop();
+            }
+
+            // Unsubscribe from properties no longer read by the expression (e.g. in the branch of a conditional expression that is not evaluated anymore)
+            let same = (a, b) =>
+                a.control == b.control && a.property == b.property;
+            subscribed = subscribed.filter((s) => {
+                if (deps.some((d) => same(s, d))) return true;
+                s.control.off(s.property, update);
+                return false;
+            });
+
+            // Subscribe to newly read properties
+            deps.forEach((d) => {
+                if (!subscribed.some((s) => same(s, d))) {
+                    subscribed.push(d);
+                    d.control.on(
+                        d.property,
+                        update,
+                        d.control != this ? { caller: this } : undefined
+                    );
+                }
+            });
+
+            callback(value);
+        };
+
+        update();
+
+        return () => {
+            subscribed.forEach((d) => {
+                d.control.off(d.property, update);
+            });
+            subscribed = [];
+        };
+    }
+
+    /**
+     * Render a template block after its (empty template element) anchor, and render it again when any of the properties read by the block expression changes.
+     * Items of each blocks are matched by key, so that only added, removed and changed items are rendered.
+     * @param {*} anchor - Template element marking the start of the block
+     * @param {object} block - { type: "if" / "each", template, as, index, key, html } (see __templateBlocks())
+     * @param {object} [scope] - Variables of the parent template block
+     * @returns {function} - Function removing the block content and bindings
+     */
+    _bindBlock(anchor, block, scope) {
+        if (!anchor) return;
+
+        // Rendered instances are placed between the anchor and end marker
+        let end = document.createComment("");
+        anchor.after(end);
+
+        let instances = []; // { key, item, index, nodes, unbind }
+        let count = 0; // Instance counter for unique element ids
+
+        let key = (item, index) => {
+            if (block.key) {
+                return block.key
+                    .split(".")
+                    .reduce(
+                        (o, k) => (o == undefined ? undefined : o[k]),
+                        item
+                    );
+            }
+            if (item == null || typeof item != "object") return item;
+            return index;
+        };
+
+        let render = (item, index) => {
+            let s = scope;
+            if (block.type == "each") {
+                s = Object.create(scope || null);
+                s[block.as] = item;
+                if (block.index) s[block.index] = index;
+            }
+
+            let p = this._parseHtml(this, {
+                html: block.html,
+                scope: s,
+                idPrefix: `${anchor.id}_${count++}`,
+            });
+            let t = document.createElement("template");
+            t.innerHTML = p.html;
+            let fragment = t.content;
+
+            let unbind = [];
+            p.elementData.forEach((eData) => {
+                let id = p.idData.find((i) => i.id == eData.attributes.id);
+                let element = id && fragment.getElementById(id.elementID);
+                if (element) {
+                    unbind.push(...this._bindElement(element, eData, s));
+                }
+            });
+
+            return {
+                key: key(item, index),
+                item: this.__clone(item),
+                index: index,
+                nodes: Array.from(fragment.childNodes),
+                unbind: unbind,
+            };
+        };
+
+        let remove = (instance) => {
+            instance.unbind.forEach((f) => f());
+            instance.nodes.forEach((n) => n.remove());
+        };
+
+        let update = (value) => {
+            let items = [];
+            if (block.type == "if") {
+                if (value) items = [true];
+            } else if (Array.isArray(value)) {
+                items = value;
+            } else if (value != undefined) {
+                console.log(
+                    `${this.name}: Unable to render template block "${block.template}": Value is not an array`
+                );
+            }
+
+            // Rendered instances by key
+            let existing = new Map();
+            instances.forEach((i) => {
+                if (!existing.has(i.key)) existing.set(i.key, []);
+                existing.get(i.key).push(i);
+            });
+
+            instances = items.map((item, index) => {
+                let k = key(item, index);
+                let instance = existing.has(k) && existing.get(k).shift();
+                if (
+                    instance &&
+                    this.__equal(instance.item, item) &&
+                    (!block.index || instance.index == index)
+                ) {
+                    return instance;
+                }
+                if (instance) remove(instance);
+                return render(item, index);
+            });
+
+            // Remove instances of removed items
+            existing.forEach((list) => {
+                list.forEach((i) => remove(i));
+            });
+
+            // Place the instance nodes in item order
+            let previous = anchor;
+            instances.forEach((i) => {
+                if (i.nodes.length == 0) return;
+                if (previous.nextSibling != i.nodes[0]) {
+                    let fragment = document.createDocumentFragment();
+                    i.nodes.forEach((n) => fragment.appendChild(n));
+                    end.parentNode.insertBefore(fragment, previous.nextSibling);
+                }
+                previous = i.nodes[i.nodes.length - 1];
+            });
+        };
+
+        let unwatch = this._watch(block.template, scope, update);
+
+        return () => {
+            unwatch();
+            instances.forEach((i) => remove(i));
+            instances = [];
+            end.remove();
+        };
+    }
+
+    /**
+     * Add a DOM event listener calling a control method. The listener is removed when the control is removed.
+     * @param {*} element
+     * @param {string} event - DOM event name (e.g. "click")
+     * @param {Array} modifiers - Event modifiers: "prevent" (preventDefault()), "stop" (stopPropagation()), "once" (remove the listener after the first event) and "debounce:[ms]" (call the method after no events were received for [ms] milliseconds; default 300)
+     * @param {string} method - Method name, or dot separated path to a method of another control (e.g. "_parent.save")
+     * @param {object} [scope] - Template block variables, passed to the method as second argument
+     * @returns {function} - Function removing the event listener
+     */
+    _bindEvent(element, event, modifiers, method, scope) {
+        if (!element) return;
+
+        let options = {};
+        let debounce;
+        modifiers.forEach((m) => {
+            let [name, arg] = m.split(":");
+            if (name == "prevent" || name == "stop" || name == "once") {
+                options[name] = true;
+            } else if (name == "debounce") {
+                debounce = arg != undefined ? parseInt(arg) : 300;
+                if (isNaN(debounce) || debounce < 0) {
+                    console.log(
+                        `${this.name}: Invalid debounce time "${arg}" for event "${event}"`
+                    );
+                    debounce = 300;
+                }
+            } else {
+                console.log(
+                    `${this.name}: Unknown event modifier "${m}" for event "${event}"`
+                );
+            }
+        });
+
+        // Call the method with the owning control as "this"
+        let call = (e) => {
+            let path = method.split(".");
+            let owner = this;
+            for (let i = 0; i < path.length - 1 && owner; i++) {
+                owner = owner[path[i]];
+            }
+            let fn = owner ? owner[path[path.length - 1]] : undefined;
+            if (typeof fn == "function") {
+                if (scope) fn.call(owner, e, scope);
+                else fn.call(owner, e);
+            } else {
+                console.log(
+                    `${this.name}: Unable to handle event "${event}": Method "${method}" not found`
+                );
+            }
+        };
+
+        let timer;
+        let listener = (e) => {
+            if (options.prevent) e.preventDefault();
+            if (options.stop) e.stopPropagation();
+            if (debounce != undefined) {
+                clearTimeout(timer);
+                timer = setTimeout(() => {
+                    call(e);
+                }, debounce);
+            } else {
+                call(e);
+            }
+        };
+
+        element.addEventListener(event, listener, { once: !!options.once });
+
+        let unbind = () => {
+            clearTimeout(timer);
+            element.removeEventListener(event, listener);
+            this.off("remove", unbind);
+        };
+        this.on("remove", unbind);
+
+        return unbind;
+    }
+
+    /**
+     * Get the binding map entry for an element type and attribute. Element type specific entries take precedence over _default entries, and exact attribute names over "*" wildcard entries.
+     * @param {string} elementType
+     * @param {string} attribute
+     * @returns {object} - Binding map entry, or undefined if the attribute is not supported
+     */
+    __getBinding(elementType, attribute) {
+        let maps = [__bindingMap[elementType], __bindingMap._default];
+        for (let map of maps) {
+            if (!map) continue;
+            if (map[attribute]) return map[attribute];
+
+            // Longest matching wildcard entry
+            let match = Object.keys(map)
+                .filter(
+                    (k) =>
+                        k.endsWith("*") && attribute.startsWith(k.slice(0, -1))
+                )
+                .sort((a, b) => b.length - a.length)[0];
+            if (match) return map[match];
+        }
+    }
+
+    /**
+     * Set an element attribute value. Attributes in the binding map are set as element properties; other attributes are set as HTML attributes.
+     * @param {string} elementType
+     * @param {*} element
+     * @param {string} attribute - Attribute name, or "textContent"
+     * @param {*} value
+     */
+    __setElementValue(elementType, element, attribute, value) {
+        let binding = this.__getBinding(elementType, attribute);
+        if (binding && binding.write) {
+            binding.write(element, value, attribute);
+        } else if (binding) {
+            element[attribute] = value == undefined ? "" : value;
+        } else if (value == undefined || value === false) {
+            element.removeAttribute(attribute);
+        } else {
+            element.setAttribute(attribute, value === true ? "" : value);
+        }
+    }
+
+    /**
+     * Write a value to an element attribute through the binding's write function, or by setting the element property
+     */
+    __write(binding, element, attribute, value) {
+        if (binding.write) binding.write(element, value, attribute);
+        else element[attribute] = value;
+    }
+
+    __bind(element, attribute, binding, property) {
+        // Flags to prevent double events
+        let block1 = false;
+        let block2 = false;
+
+        // Subscribe to property change
+        let onChange = this.on(property, (val) => {
+            if (!block1) {
+                block2 = true;
+                this.__write(binding, element, attribute, val);
+                block2 = false;
+            }
+        });
+
+        let event =
+            typeof binding.event == "function"
+                ? binding.event(element)
+                : binding.event;
+
+        if (event) {
+            if (!element || !element.addEventListener) {
+                console.log(
+                    `${this.name}: Unable to add event listner "${event}" for property "${property}": Invalid element`
+                );
+                return () => {
+                    this.off(property, onChange);
+                };
+            }
+            // Subscribe to element event
+            let listener = () => {
+                if (!block2) {
+                    let raw = binding.read
+                        ? binding.read(element, attribute)
+                        : element[attribute];
+                    if (binding.parse) raw = binding.parse(raw, element);
+
+                    // Validate and coerce the element value against the schema. Restore the element value if rejected.
+                    if (this._getSchema()[property]) {
+                        let validation = this._validateProperty(property, raw);
+                        if (validation.valid) {
+                            block1 = true;
+                            this[property] = validation.value;
+                            block1 = false;
+                        } else {
+                            block2 = true;
+                            this.__write(
+                                binding,
+                                element,
+                                attribute,
+                                this[property]
+                            );
+                            block2 = false;
+                        }
+                        return;
+                    }
+
+                    // Parse value
+                    let v;
+                    if (binding.parse) {
+                        v = raw;
+                    } else {
+                        switch (typeof this._getValue(property)) {
+                            case "string":
+                                v = raw.toString();
+                                break;
+                            case "number":
+                                v = Number.parseFloat(raw.toString());
+                                break;
+                            case "boolean":
+                                v = raw.toString() === "true";
+                                break;
+                            default:
+                                console.log(
+                                    `${this.name}: Unable to process element changes "${event}" for property "${property}": Unsupported property type (property not string, number or boolean)`
+                                );
+                                break;
+                        }
+                    }
+
+                    if (v != undefined) {
+                        block1 = true;
+                        this._setValue(property, v);
+                        block1 = false;
+                    } else {
+                        console.log(
+                            `${this.name}: Unable to process element changes "${event}" for property "${property}": Invalid value (value not string, number or boolean)`
+                        );
+                    }
+                }
+            };
+            element.addEventListener(event, listener);
+
+            return () => {
+                this.off(property, onChange);
+                element.removeEventListener(event, listener);
+            };
+        }
+
+        return () => {
+            this.off(property, onChange);
+        };
+    }
+
+    /**
+     * Get control data as an javascript object
+     * @param {Object} options - { sparse: false/true (true [default]: Do not return empty properties; false: Return empty properties;) }
+     * @returns
+     */
+    Get(options = { sparse: true }) {
+        var data = {};
+
+        // Get own properties
+        Object.getOwnPropertyNames(this._properties).forEach((k) => {
+            if (
+                (options.sparse && this._properties[k] != "") ||
+                !options.sparse
+            ) {
+                data[k] = this.__clone(this._properties[k]);
+            }
+        });
+
+        // Get persistent computed properties
+        Object.keys(this._computed).forEach((k) => {
+            if (this._computed[k].persistent) {
+                data[k] = this.__clone(this[k]);
+            }
+        });
+
+        // Get child controls properties
+        Object.keys(this._controls).forEach((k) => {
+            if (
+                this._controls[k].Get != undefined &&
+                !this._controls[k].hideData
+            ) {
+                data[k] = this._controls[k].Get(options);
+            }
+        });
+
+        return data;
+    }
+
+    /**
+     * Depreciated. Use Get().
+     */
+    GetData(options = { sparse: true }) {
+        return this.Get(options);
+    }
+
+    /**
+     * Remove child control
+     * @param {*} control - Name of the child control
+     */
+    RemoveChild(control) {
+        if (this._controls[control] != undefined) {
+            let c = this._controls[control];
+
+            // Record the removed control's data in the undo history
+            if (!c._creating) {
+                this._recordHistory({
+                    type: "remove",
+                    name: control,
+                    data: c.Get({ sparse: false }),
+                });
+            }
+
+            // Emit remove event
+            c.emit("remove", c);
+
+            let renderer = (this._topLevelParent || this)._renderer;
+            if (
+                c._headless &&
+                renderer &&
+                typeof renderer.remove == "function"
+            ) {
+                renderer.remove(c, this);
+            }
+
+            // Remove the control from its group (removing empty groups), and from the search index
+            this._ungroup(c);
+            this._clearSearchEntry(c);
+
+            this._controls[control].RemoveHtml();
+            delete this._controls[control];
+            delete this[control];
+
+            // Invalidate cached paths
+            this._clearPathCache();
+
+            let sortedIndex = this._sorted.findIndex((t) => t.name == c.name);
+            if (sortedIndex >= 0) this._sorted.splice(sortedIndex, 1);
+            let listIndex = this._controlList.indexOf(c);
+            if (listIndex >= 0) this._controlList.splice(listIndex, 1);
+
+            // Update the filtered child controls
+            this._filterChanged();
+
+            // Update the rendered range of a virtualized container
+            if (this._virtual) {
+                this._virtual.rendered.delete(c);
+                this._scheduleVirtual(true);
+            }
+
+            // Unregister from all events
+            c.clearEvents();
+        }
+    }
+
+    /**
+     * Move this control to another parent control (or to another position in the same parent control) without recreating it. Element references, event subscriptions and DOM state are kept.
+     * The parent controls' 'data' events notify the removal from the previous parent and the addition (with the control's full data) to the new parent. Emits the 'moved' event.
+     * @param {ui} newParent - New parent control. The new parent should be initialized.
+     * @param {object} options - Optional: { name: [new control name. Default: the current name], parentElement: [reference name of the container element in the new parent. Default: the current parentElement], index: [display position among the new parent's child controls (ignored when the new parent sorts its child controls). Default: last] }
+     * @returns {boolean} - True if the control was moved
+     */
+    moveTo(newParent, options = {}) {
+        let oldParent = this._parent;
+        let oldName = this.name;
+        let name = options.name || oldName;
+        let parentElement = options.parentElement || this.parentElement;
+
+        let error;
+        if (!oldParent) {
+            error = "Top level controls cannot be moved";
+        } else if (!(newParent instanceof ui)) {
+            error = "Invalid parent control";
+        } else if (
+            newParent == this ||
+            this._descendants().includes(newParent)
+        ) {
+            error = "A control cannot be moved into itself";
+        } else if (
+            newParent._controls[name] &&
+            newParent._controls[name] != this
+        ) {
+            error = `Parent control "${newParent.name}" already contains a control named "${name}"`;
+        } else if (!newParent._init && this._init) {
+            error = `Parent control "${newParent.name}" is not initialized`;
+        } else if (
+            this._init &&
+            !this._headless &&
+            !(newParent[parentElement] && newParent[parentElement].appendChild)
+        ) {
+            error = `Element "${parentElement}" not found in parent control "${newParent.name}"`;
+        }
+        if (error) {
+            console.log(`${oldName}: Unable to move control. ${error}`);
+            return false;
+        }
+
+        let renamed = newParent != oldParent || name != oldName;
+        let elementChanged = parentElement != this.parentElement;
+        if (renamed && !this._creating) {
+            oldParent._recordHistory({
+                type: "remove",
+                name: oldName,
+                data: this.Get({ sparse: false }),
+            });
+        }
+
+        // Detach from the previous parent
+        if (this._element) this._element.remove();
+        oldParent._removeDragHandle(this);
+        oldParent._unsubscribeOrder(this);
+        let sortedIndex = oldParent._sorted.indexOf(this);
+        if (sortedIndex >= 0) oldParent._sorted.splice(sortedIndex, 1);
+        let listIndex = oldParent._controlList.indexOf(this);
+        if (listIndex >= 0) oldParent._controlList.splice(listIndex, 1);
+        oldParent._ungroup(this);
+        oldParent._clearSearchEntry(this);
+        Object.keys(this._filterCallbacks).forEach((propertyName) => {
+            this.off(propertyName, this._filterCallbacks[propertyName]);
+            delete this._filterCallbacks[propertyName];
+        });
+        let queueIndex = oldParent._htmlControlQueue.indexOf(this);
+        if (queueIndex >= 0) oldParent._htmlControlQueue.splice(queueIndex, 1);
+        if (oldParent._virtual) {
+            oldParent._virtual.rendered.delete(this);
+            oldParent._scheduleVirtual(true);
+        }
+        delete oldParent._controls[oldName];
+        delete oldParent[oldName];
+        oldParent._clearPathCache();
+        oldParent._filterChanged();
+
+        let top = newParent._topLevelParent || newParent;
+        if (this._headless && this._init) {
+            let renderer = top._renderer;
+            if (renderer && typeof renderer.remove == "function") {
+                renderer.remove(this, oldParent);
+            }
+        }
+
+        // Link to the new parent (and the new top level parent for the whole subtree)
+        this._properties.name = name;
+        this._parent = newParent;
+        this._properties.parentElement = parentElement;
+        [this, ...this._descendants()].forEach((c) => {
+            c._topLevelParent = top;
+        });
+
+        let list = newParent._controlList;
+        let index =
+            options.index >= 0
+                ? Math.min(options.index, list.length)
+                : list.length;
+        list.splice(index, 0, this);
+        newParent._controls[name] = this;
+        newParent[name] = this;
+        newParent._clearPathCache();
+
+        // Add to the new parent
+        if (!this._init) {
+            // Controls that are not yet initialized are added as new child controls
+            if (newParent._init) {
+                newParent._attachControls([this]);
+            } else {
+                newParent._htmlControlQueue.push(this);
+            }
+        } else if (this._headless) {
+            let renderer = top._renderer;
+            if (renderer && typeof renderer.add == "function") {
+                renderer.add(this, newParent);
+            }
+        } else if (
+            newParent._virtual &&
+            parentElement == newParent._virtual.element
+        ) {
+            // Virtualized containers add the element when rendered
+            newParent._scheduleVirtual(true);
+        } else {
+            if (newParent._grouped() && parentElement == "_controlsDiv") {
+                newParent._assignGroup(this);
+            }
+
+            // Add the element before the element of the next child control in the same container element
+            let container = newParent._containerOf(this);
+            let next = list
+                .slice(index + 1)
+                .find(
+                    (c) =>
+                        c._element &&
+                        c._element.parentNode == container &&
+                        newParent._containerOf(c) == container
+                );
+            container.insertBefore(this._element, next ? next._element : null);
+        }
+
+        if (this._init) {
+            if (newParent._sortActive()) {
+                newParent._subscribeOrder(this);
+                newParent._orderSingle(this);
+            }
+            newParent._subscribeFilter(this);
+            newParent._filterSingle(this);
+            newParent._highlight(this);
+            if (
+                newParent._reorder &&
+                parentElement == newParent._reorder.element
+            ) {
+                newParent._addDragHandle(this);
+            }
+        }
+
+        if (renamed) newParent._recordHistory({ type: "create", name: name });
+
+        // Notify the removal from the previous parent and the addition to the new parent
+        if (!this.hideData) {
+            newParent.transaction(() => {
+                if (renamed) {
+                    oldParent._notify({ [oldName]: { remove: true } });
+                    newParent._notify({ [name]: this.Get({ sparse: false }) });
+                } else if (elementChanged) {
+                    this.NotifyProperty("parentElement");
+                }
+            });
+        }
+        if (elementChanged) this.emit("parentElement", parentElement);
+
+        this.emit("moved", {
+            control: this,
+            from: oldParent,
+            to: newParent,
+            oldName: oldName,
+        });
+
+        return true;
+    }
+
+    /**
+     * Apply a CSS stylesheet to the DOM
+     * @param {*} ref - URL or reference to the stylesheet file. Relative URL's are relative to the controls path.
+     */
+    ApplyStyle(ref) {
+        return new Promise((resolve, reject) => {
+            if (!this._appliedStyles.includes(ref)) {
+                this._appliedStyles.push(ref);
+                if (this._parent != undefined) {
+                    return this._parent.ApplyStyle(ref);
+                } else if (this._headless) {
+                    // Stylesheets are not applied in headless mode
+                    resolve();
+                } else {
+                    let l = document.styleSheets.length;
+                    let t = setInterval(() => {
+                        if (document.styleSheets.length > l) {
+                            resolve();
+                            clearInterval(t);
+                        }
+                    }, 10);
+
+                    // ref https://stackoverflow.com/questions/11833759/add-stylesheet-to-head-using-javascript-in-body
+                    let head = document.head;
+                    let link = document.createElement("link");
+
+                    link.type = "text/css";
+                    link.rel = "stylesheet";
+                    link.href = this.__isAbsoluteUrl(ref)
+                        ? ref
+                        : this._path + "/" + ref;
+
+                    head.appendChild(link);
+                }
+            } else {
+                resolve();
+            }
+        });
+    }
+
+    /**
+     * Load the javascript file for the passed data.controlType. Re-applies the passed data to the callerControl when the script has been loaded so that the callerControl can create the child control.
      * @param {string} className - name of the control class (script file name excluding extension)
      * @returns {Promise} - Returns a promise with a true / false result indicating if the script has been loaded successfully
      */
-    _loadScript(className) {
-        if (this._getDynamicClass(className)) {
-            return new Promise((resolve, reject) => {
-                // Resolve empty promise indicating that no new class was loaded
-                resolve();
+    _loadScript(className) {
+        if (this._getDynamicClass(className)) {
+            return new Promise((resolve, reject) => {
+                // Resolve empty promise indicating that no new class was loaded
+                resolve();
+            });
+        } else {
+            if (this._parent != undefined) {
+                // Pass the request to the top level parent
+                return this._parent._loadScript(className);
+            } else if (this._loader == "module") {
+                return this._loadModule(className);
+            } else {
+                return new Promise(async (resolve, reject) => {
+                    // Subscribe to the _scriptLoad event
+                    this.once(`_scriptLoad_${className}`, (result) => {
+                        resolve(result);
+                    });
+
+                    // Only process first request
+                    if (!this._pendingScripts[className]) {
+                        this._pendingScripts[className] = true;
+
+                        try {
+                            if (this._headless) {
+                                throw new Error(
+                                    "Script tags cannot be loaded in headless mode. Register the control class with ui.register(), or use the module loader."
+                                );
+                            }
+
+                            // Download script file to check if script extends another class
+                            let scriptFile;
+                            await fetch(this._scriptUrl(className))
+                                // Catch fetch error's (https://stackoverflow.com/questions/39297345/fetch-resolves-even-if-404)
+                                .then((res) => {
+                                    if (!res.ok) {
+                                        throw new Error("");
+                                    } else {
+                                        scriptFile = res;
+                                    }
+                                })
+                                .catch((err) => {
+                                    throw new Error("");
+                                });
+                            let text = await scriptFile.text();
+
+                            // Match class with extend keyword
+                            let match = text.match(
+                                /class[\t_a-zA-Z0-9 ]*extends.*{/gm
+                            );
+                            if (Array.isArray(match)) {
+                                match = match[0];
+                            }
+
+                            if (match) {
+                                // Extract extended class name
+                                match = match.replace(
+                                    /class[\t_a-zA-Z0-9 ]*extends[ \t\n]*/gm,
+                                    ""
+                                );
+                                match = match.replace(/[\t_ \n]*{/gm, "");
+                                match = match.replace(/_uiClasses/m, "");
+                                match = match.replace(/[^a-zA-Z0-9_ ]/gm, " ");
+                                match = match.split(/\s+/gm);
+                                if (match.length > 0) {
+                                    let _p = [];
+                                    match.forEach(async (m) =>
+                                        _p.push(
+                                            new Promise(async (resolve) => {
+                                                // Extended classes already loaded (but not registered) are not loaded again, as the class would be redeclared
+                                                m &&
+                                                    !__loadedScripts[m] &&
+                                                    typeof window[m] ==
+                                                        "undefined" &&
+                                                    (await this._loadScript(m));
+                                                resolve();
+                                            })
+                                        )
+                                    );
+                                    await Promise.all(_p);
+                                }
+                            }
+
+                            // Load script
+                            const script = document.createElement("script");
+                            script.type = "text/javascript";
+
+                            // Create child controls when the script is done loading
+                            script.onload = () => {
+                                __loadedScripts[className] = true;
+
+                                // Delete the pending controls flag
+                                delete this._pendingScripts[className];
+
+                                // fire _scriptLoad event
+                                this.emit(`_scriptLoad_${className}`, true);
+                            };
+
+                            // Set script path including the root path passed to the top level parent element
+                            script.src = this._scriptUrl(className);
+
+                            // Ignore reject error's
+                            var rejectHandler = (event) => {};
+                            script.addEventListener("error", rejectHandler);
+
+                            // Add to DOM head
+                            document.head.appendChild(script);
+                        } catch (err) {
+                            console.log(
+                                `Unable to load "${className}". ${err.message}`
+                            );
+                            delete this._pendingScripts[className];
+
+                            this.emit(`_scriptLoad_${className}`, false);
+
+                            resolve();
+                        }
+                    }
+                });
+            }
+        }
+    }
+
+    /**
+     * Load the ES module for the passed control type through dynamic import(). If a manifest is configured, the module URL, dependencies,
+     * version hash and stylesheets are read from the manifest entry of the control type. Only called on the top level parent.
+     * @param {string} className - Control type name
+     * @returns {Promise} - Returns a promise with a true / false result indicating if the control class is available after loading the module
+     */
+    _loadModule(className) {
+        if (!this._moduleLoads[className]) {
+            this._moduleLoads[className] = (async () => {
+                let manifest = await this._loadManifest();
+                let entry = manifest[className] || {};
+
+                // Circular dependencies would wait on each other's loads
+                let cycle = this.__dependencyCycle(manifest, className);
+                if (cycle) {
+                    throw new Error(
+                        `Circular dependency: ${cycle.join(" -> ")}`
+                    );
+                }
+
+                // Load dependencies before the module itself. Dependencies listed in the manifest are loaded as control types,
+                // other dependencies are imported as (non-control) module URL's.
+                if (Array.isArray(entry.dependencies)) {
+                    await Promise.all(
+                        entry.dependencies.map((d) => {
+                            if (manifest[d]) {
+                                return this._loadScript(d);
+                            } else {
+                                return import(this._resolveUrl(d));
+                            }
+                        })
+                    );
+                }
+
+                // Apply stylesheets
+                if (Array.isArray(entry.styles)) {
+                    entry.styles.forEach((s) => {
+                        this.ApplyStyle(this._resolveUrl(s, entry.version));
+                    });
+                }
+
+                let module = await import(
+                    entry.url
+                        ? this._resolveUrl(entry.url, entry.version)
+                        : this._scriptUrl(className, entry.version)
+                );
+
+                // Register the module's exported class if the module did not register the control type itself.
+                // The class is exported as the default export, or as a named export with the (last part of the) control type name.
+                if (!this._getDynamicClass(className)) {
+                    let controlClass =
+                        module.default || module[className.split(".").pop()];
+                    if (typeof controlClass == "function") {
+                        ui.register(className, controlClass);
+                    }
+                }
+
+                return this._getDynamicClass(className) != undefined;
+            })().catch((err) => {
+                console.log(`Unable to load "${className}". ${err.message}`);
+
+                // Allow loading to be retried
+                delete this._moduleLoads[className];
+
+                return false;
+            });
+        }
+
+        return this._moduleLoads[className];
+    }
+
+    /**
+     * Find a circular dependency of the passed control type in the manifest
+     * @param {object} manifest
+     * @param {string} className - Control type name
+     * @returns {Array} - Control types in the circular dependency (e.g. ["a", "b", "a"]), or undefined if the control type has no circular dependencies
+     */
+    __dependencyCycle(manifest, className) {
+        let visited = {};
+        let visit = (name, chain) => {
+            let deps = manifest[name] && manifest[name].dependencies;
+            if (!Array.isArray(deps)) return;
+
+            let cycle;
+            deps.some((d) => {
+                if (d == className) {
+                    cycle = [...chain, d];
+                } else if (manifest[d] && !visited[d]) {
+                    visited[d] = true;
+                    cycle = visit(d, [...chain, d]);
+                }
+                return cycle;
+            });
+            return cycle;
+        };
+
+        return visit(className, [className]);
+    }
+
+    /**
+     * Load the manifest file (if configured). The manifest is only loaded once. Only called on the top level parent.
+     * @returns {Promise} - Returns a promise with the manifest object (empty object if no manifest is configured or if the manifest could not be loaded)
+     */
+    _loadManifest() {
+        if (!this._manifest) {
+            if (!this._manifestUrl) {
+                this._manifest = Promise.resolve({});
+            } else {
+                this._manifest = fetch(this._resolveUrl(this._manifestUrl))
+                    .then((res) => {
+                        if (!res.ok) {
+                            throw new Error(`HTTP status ${res.status}`);
+                        }
+                        return res.json();
+                    })
+                    .catch((err) => {
+                        console.log(
+                            `Unable to load manifest "${this._manifestUrl}". ${err.message}`
+                        );
+                        return {};
+                    });
+            }
+        }
+
+        return this._manifest;
+    }
+
+    /**
+     * Get the script URL for the passed control type. Namespaced control types are loaded from sub-directories (e.g. "widgets.slider" is loaded from "[path]/widgets/slider.js").
+     * @param {string} className - Control type name
+     * @param {string} version - [Optional] Version hash to be used as cache-busting value
+     * @returns {string} - Script URL
+     */
+    _scriptUrl(className, version) {
+        return this._resolveUrl(className.replace(/\./g, "/") + ".js", version);
+    }
+
+    /**
+     * Resolve a URL relative to the controls path, and add the cache-busting query parameter (if enabled on the top level parent).
+     * @param {string} url - Relative or absolute URL
+     * @param {string} version - [Optional] Version hash to be used as cache-busting value
+     * @returns {string} - Resolved URL
+     */
+    _resolveUrl(url, version) {
+        // Absolute URL's are not prefixed with the controls path
+        if (!this.__isAbsoluteUrl(url)) {
+            url = this._path + "/" + url;
+        }
+
+        // URL's passed to import() are resolved relative to the importing script, and not the document.
+        if (typeof document != "undefined" && document.baseURI) {
+            url = new URL(url, document.baseURI).href;
+        }
+
+        let top = this._topLevelParent || this;
+        let v = version || top._cacheBust;
+        if (v) {
+            url +=
+                (url.includes("?") ? "&" : "?") + "v=" + encodeURIComponent(v);
+        }
+
+        return url;
+    }
+
+    // True for URL's with a scheme (e.g. "https:") and URL's starting with "/"
+    __isAbsoluteUrl(url) {
+        return /^([a-zA-Z][a-zA-Z0-9+.-]*:|\/)/.test(url);
+    }
+
+    /**
+     * Load the classes of the passed control types, so that controls of these types can be created without waiting for script loading.
+     * @param {Array} controlTypes - Control type name or array of control type names
+     * @returns {Promise} - Returns a promise with a true / false result indicating if all the control classes are available
+     */
+    preload(controlTypes) {
+        let types = this.__array(controlTypes);
+        return Promise.all(
+            types.map((t) =>
+                this._loadScript(t).catch((err) => {
+                    console.log(err);
+                })
+            )
+        ).then(() => types.every((t) => this._getDynamicClass(t)));
+    }
+
+    /**
+     * Notifies parent control of a change to the given property or array of properties and triggers the onChange event.
+     * @param {*} propertyNames - Single string or array of string property names
+     */
+    NotifyProperty(propertyNames) {
+        let data = {};
+        let meta = {};
+        this.__array(propertyNames).forEach((p) => {
+            // Computed properties are only notified if persistent
+            if (
+                this[p] != undefined &&
+                (!this._computed[p] || this._computed[p].persistent)
+            ) {
+                data[p] = this.__clone(this[p]);
+                meta[p] = this._meta[p];
+            }
+        });
+
+        this._notify(data, meta);
+    }
+
+    /**
+     * Depreciated. Set visibility by setting control.visible to true/false.
+     */
+    Show() {
+        this.visible = true;
+    }
+
+    /**
+     * Depreciated. Set visibility by setting control.visible to true/false.
+     */
+    Hide() {
+        this.visible = false;
+    }
+
+    /**
+     * Set a list of meta data properties. This metadata will be sent with the 'data' event.
+     * @param {*} propertyName - Property name
+     * @param {*} META - Meta data to be set, this can be any object structure, the way the you want to receive the data with the data event
+     */
+    SetMeta(propertyName, META) {
+        if (this[propertyName] != undefined) {
+            this._meta[propertyName] = META;
+        }
+    }
+
+    /**
+     * Set the CSS visibility to visible. This does not change the control.visible property.
+     */
+    _show() {
+        if (this._element) this._element.style.display = this.visibleDisplayCss;
+        this.__virtualChanged();
+    }
+
+    /**
+     * Set the CSS visibility to hidden. This does not change the control.visible property.
+     */
+    _hide() {
+        if (this._element) this._element.style.display = this.hiddenDisplayCss;
+        this.__virtualChanged();
+    }
+
+    /**
+     * Update the rendered range of the parent's virtualized container when this control is shown / hidden
+     */
+    __virtualChanged() {
+        let v = this._parent && this._parent._virtual;
+        if (v && this.parentElement == v.element) {
+            this._parent._scheduleVirtual(true);
+        }
+    }
+
+    // notifies parent of data change, and triggers onChange event.
+    _notify(data, meta) {
+        let top = this._topLevelParent || this;
+        if (top._txDepth > 0 || top.notifyDebounceMs > 0) {
+            // Wrap the data and meta data in the path to the top level parent. Data of hidden controls (hideData) is not merged.
+            let n = data;
+            let m = meta || {};
+            let c = this;
+            while (c._parent && !c.hideData) {
+                n = { [c.name]: n };
+                m = { [c.name]: m };
+                c = c._parent;
+            }
+
+            if (!c._parent) {
+                top._pendingData = this.__merge(top._pendingData || {}, n);
+                top._pendingMeta = this.__merge(top._pendingMeta || {}, m);
+
+                // Emit merged data after the debounce time if no transaction is in progress
+                if (top._txDepth == 0) {
+                    clearTimeout(top._notifyTimer);
+                    top._notifyTimer = setTimeout(() => {
+                        top._flushNotify();
+                    }, top.notifyDebounceMs);
+                }
+                return;
+            }
+        }
+
+        if (this._parent != undefined) {
+            let n = {
+                [this.name]: data,
+            };
+
+            if (!this.hideData) {
+                this._parent._notify(n, meta);
+            }
+        } else {
+            this._emitPatch(data, meta);
+        }
+
+        this.emit("data", data, undefined, meta);
+    }
+
+    /**
+     * Run the passed function as a transaction. Data change notifications during the transaction are merged, and emitted as a single 'data' event
+     * (with merged meta data) when the transaction ends. Transactions can be nested. If the function returns a promise, the transaction ends when the promise settles.
+     * @param {function} fn - Function making changes to the control tree
+     * @returns {*} - The return value of the passed function
+     */
+    transaction(fn) {
+        let top = this._topLevelParent || this;
+        if (top._txDepth == 0) top._txId++;
+        top._txDepth++;
+
+        let result;
+        try {
+            result = fn();
+        } catch (err) {
+            top._endTransaction();
+            throw err;
+        }
+
+        if (result && typeof result.then == "function") {
+            return result.finally(() => {
+                top._endTransaction();
+            });
+        }
+
+        top._endTransaction();
+        return result;
+    }
+
+    // Ends a transaction, and emits the merged data when the outer transaction ends. Only called on the top level parent.
+    _endTransaction() {
+        this._txDepth--;
+        if (this._txDepth == 0) {
+            clearTimeout(this._notifyTimer);
+            this._flushNotify();
+        }
+    }
+
+    // Emits merged data as a single 'data' event on the top level parent and on the (child) controls included in the data. Only called on the top level parent.
+    _flushNotify() {
+        let data = this._pendingData;
+        let meta = this._pendingMeta;
+        this._pendingData = undefined;
+        this._pendingMeta = undefined;
+
+        if (data) {
+            this._emitPatch(data, meta);
+            this._emitData(data, meta);
+        }
+    }
+
+    // Emits the 'data' event on this control, and on the child controls included in the data. Merged meta data is nested by control name in the same way as the data.
+    _emitData(data, meta) {
+        this.emit("data", data, undefined, meta);
+
+        Object.keys(data).forEach((k) => {
+            if (
+                this._controls[k] &&
+                data[k] &&
+                typeof data[k] == "object" &&
+                !Array.isArray(data[k])
+            ) {
+                this._controls[k]._emitData(data[k], meta && meta[k]);
+            }
+        });
+    }
+
+    /**
+     * Deep merge the source object into the target object. Arrays and other values are replaced, array splices (see arrayDelta) are combined, and merged objects are copied.
+     * @param {object} target
+     * @param {object} source
+     * @returns {object} - The target object
+     */
+    __merge(target, source) {
+        Object.keys(source).forEach((k) => {
+            if (this.__isArrayDelta(source[k])) {
+                // Combine array splices, or apply them to a previously merged array
+                if (this.__isArrayDelta(target[k])) {
+                    target[k] = {
+                        splice: target[k].splice.concat(source[k].splice),
+                    };
+                } else if (Array.isArray(target[k])) {
+                    target[k] = this.__applySplices(
+                        target[k].slice(),
+                        source[k].splice
+                    );
+                } else {
+                    target[k] = this.__clone(source[k]);
+                }
+            } else if (this.__isPlainObject(source[k])) {
+                if (!this.__isPlainObject(target[k])) {
+                    target[k] = {};
+                }
+                this.__merge(target[k], source[k]);
+            } else {
+                target[k] = source[k];
+            }
+        });
+
+        return target;
+    }
+
+    /**
+     * Get a (nested) property value by dot separated path (e.g. "position.x")
+     * @param {string} path
+     * @returns {*} - Property value, or undefined if not found
+     */
+    _getValue(path) {
+        return path
+            .split(".")
+            .reduce((v, key) => (v != undefined ? v[key] : undefined), this);
+    }
+
+    /**
+     * Set a (nested) property value by dot separated path (e.g. "position.x")
+     * @param {string} path
+     * @param {*} value
+     */
+    _setValue(path, value) {
+        let keys = path.split(".");
+        let last = keys.pop();
+        let target = keys.reduce(
+            (v, key) => (v != undefined ? v[key] : undefined),
+            this
+        );
+        if (target != undefined) {
+            target[last] = value;
+        } else {
+            console.log(
+                `${this.name}: Unable to set "${path}": Path not found`
+            );
+        }
+    }
+
+    /**
+     * Get an observable proxy of a plain object property value (or nested object). Changes to the proxy are applied through the property setter.
+     * Proxies are cached per property path, so that the same proxy is returned on every read.
+     * @param {string} property - Property name
+     * @param {Array} path - [Optional] Path of keys to a nested object
+     * @returns {Proxy}
+     */
+    _observe(property, path = []) {
+        let id = JSON.stringify(["object", property, ...path]);
+        if (this._observers[id]) return this._observers[id];
+
+        // Resolve the current (nested) value, as the property value is replaced on every change
+        let resolve = () =>
+            this.__resolvePath(this._properties[property], path);
+        let change = (fn) => {
+            this._changeProperty(property, path, fn);
+            return true;
+        };
+
+        this._observers[id] = new Proxy(
+            {},
+            {
+                get: (t, key) => {
+                    let o = resolve();
+                    let v = o != undefined ? o[key] : undefined;
+                    if (typeof key == "string" && this.__isPlainObject(v)) {
+                        return this._observe(property, [...path, key]);
+                    } else if (typeof key == "string" && this.__isDate(v)) {
+                        return this._observeDate(property, [...path, key]);
+                    } else if (typeof key == "string" && Array.isArray(v)) {
+                        return this._observeArray(property, [...path, key]);
+                    }
+                    return v;
+                },
+                set: (t, key, val) =>
+                    change((o) => (o[key] = this.__clone(val))),
+                deleteProperty: (t, key) => change((o) => delete o[key]),
+                has: (t, key) => {
+                    let o = resolve();
+                    return o != undefined && key in o;
+                },
+                ownKeys: () => {
+                    let o = resolve();
+                    return o != undefined ? Reflect.ownKeys(o) : [];
+                },
+                getOwnPropertyDescriptor: (t, key) => {
+                    let o = resolve();
+                    let d =
+                        o != undefined
+                            ? Object.getOwnPropertyDescriptor(o, key)
+                            : undefined;
+                    if (d) d.configurable = true;
+                    return d;
+                },
+            }
+        );
+        return this._observers[id];
+    }
+
+    /**
+     * Get an observable copy of a Date property value (or nested Date). The copy's setter methods (e.g. setFullYear(), setHours()) update the property.
+     * The copy is cached until the property value changes.
+     * @param {string} property - Property name
+     * @param {Array} path - [Optional] Path of keys to a nested Date
+     * @returns {Date}
+     */
+    _observeDate(property, path = []) {
+        let id = JSON.stringify(["date", property, ...path]);
+        let v = this.__resolvePath(this._properties[property], path);
+        let d = this._observers[id];
+        if (d && Object.is(d.getTime(), v.getTime())) return d;
+
+        d = new Date(v.getTime());
+        Object.getOwnPropertyNames(Date.prototype)
+            .filter((m) => m.startsWith("set"))
+            .forEach((m) => {
+                d[m] = (...args) => {
+                    let result = Date.prototype[m].apply(d, args);
+                    let value = new Date(d.getTime());
+                    if (path.length) {
+                        this._changeProperty(
+                            property,
+                            path.slice(0, -1),
+                            (o) => (o[path[path.length - 1]] = value)
+                        );
+                    } else {
+                        this[property] = value;
+                    }
+                    return result;
+                };
+            });
+        this._observers[id] = d;
+        return d;
+    }
+
+    /**
+     * Apply a change to a nested object or array in a copy of an object or array property value, and set the property
+     * @param {string} property - Property name
+     * @param {Array} path - Path of keys to the nested object or array
+     * @param {Function} fn - Function applying the change to the (copied) nested object or array
+     */
+    _changeProperty(property, path, fn) {
+        let v = this.__clone(this._properties[property]);
+        let target = this.__resolvePath(v, path);
+        if (this.__isPlainObject(target) || Array.isArray(target)) {
+            fn(target);
+            this[property] = v;
+        } else {
+            console.log(
+                `${this.name}: Unable to change "${[property, ...path].join(
+                    "."
+                )}": Object not found`
+            );
+        }
+    }
+
+    // Get a nested value by a path of keys
+    __resolvePath(value, path) {
+        return path.reduce(
+            (v, key) => (v != undefined ? v[key] : undefined),
+            value
+        );
+    }
+
+    /**
+     * Set the value of a plain object or Date property. The minimal changed data is notified, and events are emitted for the property and for every changed nested value (e.g. "position.x").
+     * @param {string} k - Property name
+     * @param {*} val - New value
+     */
+    _setObjectProperty(k, val) {
+        let old = this._properties[k];
+        let bypass = this._bypassNotify;
+        this._bypassNotify = false;
+
+        let type = this.__isDate(old) ? "date" : "object";
+        let v = this.__coerce(type, val);
+        if (v === undefined) {
+            console.log(
+                `${
+                    this.name
+                }: Unable to set property "${k}": Invalid value (value not ${
+                    type == "date" ? "a date" : "an object"
+                })`
+            );
+            return;
+        }
+        v = this.__clone(v);
+
+        // Only emit property changes
+        let diff = this.__diff(old, v);
+        if (diff === undefined) return;
+
+        this._properties[k] = v;
+        this._recordHistory({
+            type: "set",
+            property: k,
+            oldValue: old,
+            newValue: v,
+        });
+        if (!bypass) {
+            this._notify({ [k]: diff }, { [k]: this._meta[k] });
+        }
+        this._emitChanges(k, diff, v);
+    }
+
+    // Emit events for changed nested values (e.g. "position.x"), followed by the event for the value itself
+    _emitChanges(path, diff, value) {
+        if (this.__isPlainObject(diff) && this.__isPlainObject(value)) {
+            Object.keys(diff).forEach((key) => {
+                this._emitChanges(`${path}.${key}`, diff[key], value[key]);
+            });
+        }
+        this.emit(path, this.__clone(value));
+    }
+
+    /**
+     * Get an observable proxy of an array property value (or nested array). Mutating methods (e.g. push(), splice(), sort()) and index / length assignments are applied to a copy
+     * of the array, and set through the property setter. Plain object, Date and array items are returned as observable proxies (see _observe()), of which changes update the property.
+     * @param {string} property - Property name
+     * @param {Array} path - [Optional] Path of keys to a nested array
+     * @returns {Proxy}
+     */
+    _observeArray(property, path = []) {
+        let id = JSON.stringify(["array", property, ...path]);
+        if (this._observers[id]) return this._observers[id];
+
+        // Resolve the current value, as the property value is replaced on every change
+        let resolve = () =>
+            this.__resolvePath(this._properties[property], path) || [];
+
+        let mutate = (fn) => {
+            let result;
+            if (path.length) {
+                this._changeProperty(property, path, (a) => (result = fn(a)));
+            } else {
+                let a = resolve().slice();
+                result = fn(a);
+                this[property] = a;
+            }
+            return result;
+        };
+
+        this._observers[id] = new Proxy([], {
+            get: (t, key, receiver) => {
+                if (
+                    typeof key == "string" &&
+                    [
+                        "push",
+                        "pop",
+                        "shift",
+                        "unshift",
+                        "splice",
+                        "sort",
+                        "reverse",
+                        "fill",
+                        "copyWithin",
+                    ].includes(key)
+                ) {
+                    return (...args) => {
+                        let result = mutate((a) => a[key](...args));
+                        // Return the (observable) array instead of the copy for methods returning the array
+                        return Array.isArray(result) &&
+                            ["sort", "reverse", "fill", "copyWithin"].includes(
+                                key
+                            )
+                            ? receiver
+                            : result;
+                    };
+                }
+
+                let v = resolve()[key];
+                if (typeof key == "string" && this.__isPlainObject(v)) {
+                    return this._observe(property, [...path, key]);
+                } else if (typeof key == "string" && this.__isDate(v)) {
+                    return this._observeDate(property, [...path, key]);
+                } else if (typeof key == "string" && Array.isArray(v)) {
+                    return this._observeArray(property, [...path, key]);
+                }
+                return v;
+            },
+            set: (t, key, val) => {
+                mutate((a) => {
+                    a[key] = this.__clone(val);
+                });
+                return true;
+            },
+            deleteProperty: (t, key) => {
+                mutate((a) => {
+                    delete a[key];
+                });
+                return true;
+            },
+            has: (t, key) => key in resolve(),
+            ownKeys: () => Reflect.ownKeys(resolve()),
+            getOwnPropertyDescriptor: (t, key) => {
+                let d = Object.getOwnPropertyDescriptor(resolve(), key);
+                // Report array items as configurable (the proxy target is a placeholder). The length property is not configurable.
+                if (d && key != "length") d.configurable = true;
+                return d;
+            },
+        });
+        return this._observers[id];
+    }
+
+    /**
+     * Set the value of an array property. Changes are emitted as '[property]:change' event with a list of changes ({ type: "insert" / "remove" / "update", index, ... }),
+     * followed by the property event. The changed data is notified as a full array, or as an array splice if arrayDelta is enabled on the top level parent.
+     * @param {string} k - Property name
+     * @param {*} val - New value
+     */
+    _setArrayProperty(k, val) {
+        let old = this._properties[k];
+        let bypass = this._bypassNotify;
+        this._bypassNotify = false;
+
+        if (!Array.isArray(val)) {
+            console.log(
+                `${this.name}: Unable to set property "${k}": Invalid value (value not an array)`
+            );
+            return;
+        }
+        let v = this.__clone(val);
+
+        // Find the changed range (common start and end items are unchanged)
+        let start = 0;
+        while (
+            start < old.length &&
+            start < v.length &&
+            this.__equal(old[start], v[start])
+        ) {
+            start++;
+        }
+        let end = 0;
+        while (
+            end < old.length - start &&
+            end < v.length - start &&
+            this.__equal(old[old.length - 1 - end], v[v.length - 1 - end])
+        ) {
+            end++;
+        }
+        let deleteCount = old.length - start - end;
+        let items = v.slice(start, v.length - end);
+
+        // Only emit property changes
+        if (deleteCount == 0 && items.length == 0) return;
+
+        this._properties[k] = v;
+        this._recordHistory({
+            type: "set",
+            property: k,
+            oldValue: old,
+            newValue: v,
+        });
+
+        if (!bypass) {
+            let top = this._topLevelParent || this;
+            this._notify(
+                {
+                    [k]: top.arrayDelta
+                        ? { splice: [[start, deleteCount, ...items]] }
+                        : this.__clone(v),
+                },
+                { [k]: this._meta[k] }
+            );
+        }
+
+        // Structured changes
+        let changes = [];
+        let updates = Math.min(deleteCount, items.length);
+        for (let i = 0; i < updates; i++) {
+            if (!this.__equal(old[start + i], items[i])) {
+                changes.push({
+                    type: "update",
+                    index: start + i,
+                    value: this.__clone(items[i]),
+                    oldValue: old[start + i],
+                });
+            }
+        }
+        if (deleteCount > updates) {
+            changes.push({
+                type: "remove",
+                index: start + updates,
+                items: old.slice(start + updates, start + deleteCount),
+            });
+        }
+        if (items.length > updates) {
+            changes.push({
+                type: "insert",
+                index: start + updates,
+                items: this.__clone(items.slice(updates)),
+            });
+        }
+
+        this.emit(`${k}:change`, changes);
+        this.emit(k, this.__clone(v));
+    }
+
+    // True for array splice data ({ splice: [[start, deleteCount, ...items], ...] }, see arrayDelta)
+    __isArrayDelta(value) {
+        return (
+            this.__isPlainObject(value) &&
+            Array.isArray(value.splice) &&
+            Object.keys(value).length == 1
+        );
+    }
+
+    /**
+     * Apply a list of splices to an array
+     * @param {Array} array
+     * @param {Array} splices - List of [start, deleteCount, ...items] splices
+     * @returns {Array} - The passed array
+     */
+    __applySplices(array, splices) {
+        splices.forEach((s) => {
+            if (Array.isArray(s)) array.splice(...this.__clone(s));
+        });
+        return array;
+    }
+
+    // True for property values that can be set through Set() and property setters
+    __isSettable(value) {
+        return (
+            typeof value == "number" ||
+            typeof value == "string" ||
+            typeof value == "boolean" ||
+            Array.isArray(value) ||
+            this.__isDate(value) ||
+            this.__isPlainObject(value)
+        );
+    }
+
+    // True for plain objects (e.g. { x: 1, y: 2 }), including objects created in other realms (e.g. iframes)
+    __isPlainObject(value) {
+        if (
+            value == null ||
+            Object.prototype.toString.call(value) != "[object Object]"
+        ) {
+            return false;
+        }
+        let proto = Object.getPrototypeOf(value);
+        return proto == null || Object.getPrototypeOf(proto) == null;
+    }
+
+    // True for Date objects (including dates created in other realms)
+    __isDate(value) {
+        return Object.prototype.toString.call(value) == "[object Date]";
+    }
+
+    /**
+     * Get the minimal difference between two values. Removed object keys are set to null.
+     * @param {*} a - Old value
+     * @param {*} b - New value
+     * @returns {*} - Changed data, or undefined if equal
+     */
+    __diff(a, b) {
+        if (this.__isPlainObject(a) && this.__isPlainObject(b)) {
+            let diff;
+            Object.keys(b).forEach((k) => {
+                let d = Object.prototype.hasOwnProperty.call(a, k)
+                    ? this.__diff(a[k], b[k])
+                    : this.__clone(b[k]);
+                if (d !== undefined) {
+                    diff = diff || {};
+                    diff[k] = d;
+                }
+            });
+            Object.keys(a).forEach((k) => {
+                if (!Object.prototype.hasOwnProperty.call(b, k)) {
+                    diff = diff || {};
+                    diff[k] = null;
+                }
+            });
+            return diff;
+        }
+
+        return this.__equal(a, b) ? undefined : this.__clone(b);
+    }
+
+    /**
+     * Apply changed data (as returned by __diff()) to a plain object. Keys set to null are removed.
+     * @param {object} target
+     * @param {object} diff
+     * @returns {object} - The target object
+     */
+    __applyDiff(target, diff) {
+        Object.keys(diff).forEach((k) => {
+            if (diff[k] === null || diff[k] === undefined) {
+                delete target[k];
+            } else if (
+                this.__isPlainObject(diff[k]) &&
+                this.__isPlainObject(target[k])
+            ) {
+                this.__applyDiff(target[k], diff[k]);
+            } else {
+                target[k] = this.__clone(diff[k]);
+            }
+        });
+
+        return target;
+    }
+
+    /**
+     * Get the property schema of this control's class, merged with the schemas of extended classes
+     * @returns {object} - Property schema
+     */
+    _getSchema() {
+        return this._getStaticMap("schema", true);
+    }
+
+    /**
+     * Get a static map (e.g. schema or computed) of this control's class, merged with the static maps of extended classes
+     * @param {string} name - Static property name
+     * @param {boolean} mergeEntries - [Optional] If true, entries are merged with the same entries of extended classes. If false, entries are replaced.
+     * @returns {object}
+     */
+    _getStaticMap(name, mergeEntries) {
+        let cls = this.constructor;
+        if (!__staticMapCache.has(cls)) __staticMapCache.set(cls, {});
+        let cache = __staticMapCache.get(cls);
+
+        if (!cache[name]) {
+            let map = {};
+
+            // Merge from the base class to the extended class
+            let chain = [];
+            for (
+                let c = cls;
+                c && c != Function.prototype;
+                c = Object.getPrototypeOf(c)
+            ) {
+                if (Object.prototype.hasOwnProperty.call(c, name) && c[name]) {
+                    chain.unshift(c[name]);
+                }
+            }
+            chain.forEach((m) => {
+                Object.keys(m).forEach((k) => {
+                    map[k] = mergeEntries
+                        ? Object.assign({}, map[k], m[k])
+                        : m[k];
+                });
+            });
+
+            cache[name] = map;
+        }
+
+        return cache[name];
+    }
+
+    // Add a property read to the dependency list of the computed property being computed (if any)
+    _trackDependency(property) {
+        if (__dependencyTracker.length > 0) {
+            __dependencyTracker[__dependencyTracker.length - 1].push({
+                control: this,
+                property: property,
+            });
+        }
+    }
+
+    // Create getters for the computed properties declared in the control class (see ui.computed)
+    _createComputed() {
+        let computed = this._getStaticMap("computed");
+        Object.keys(computed).forEach((k) => {
+            let def =
+                typeof computed[k] == "function"
+                    ? { get: computed[k] }
+                    : computed[k];
+            if (!def || typeof def.get != "function") {
+                console.log(
+                    `${this.name}: Unable to create computed property "${k}": Not a function`
+                );
+                return;
+            }
+
+            let c = {
+                get: def.get,
+                persistent: def.persistent == true,
+                dirty: true,
+                value: undefined,
+                deps: [],
+            };
+            this._computed[k] = c;
+
+            Object.defineProperty(this, k, {
+                get: function () {
+                    this._trackDependency(k);
+                    if (c.dirty) this._compute(k);
+                    return c.value;
+                },
+                configurable: true,
+                enumerable: true,
+            });
+        });
+
+        // Unsubscribe from dependencies on other controls when removed
+        if (Object.keys(this._computed).length > 0) {
+            this.on("remove", () => {
+                Object.values(this._computed).forEach((c) => {
+                    this.__unsubscribeDependencies(c);
+                });
+            });
+        }
+    }
+
+    /**
+     * Compute the value of a computed property, and subscribe to the (changed) dependencies
+     * @param {string} k - Computed property name
+     * @returns {boolean} - True if the value changed
+     */
+    _compute(k) {
+        let c = this._computed[k];
+        let deps = [];
+        let value;
+
+        __dependencyTracker.push(deps);
+        try {
+            value = c.get(this);
+        } catch (err) {
+            console.log(
+                `${this.name}: Unable to compute property "${k}": ${err.message}`
+            );
+        } finally {
+            __dependencyTracker.pop();
+        }
+
+        // Subscribe to the property events of the dependencies
+        this.__unsubscribeDependencies(c);
+        deps.forEach((d) => {
+            if (
+                !c.deps.some(
+                    (e) => e.control == d.control && e.property == d.property
+                )
+            ) {
+                d.callback = () => {
+                    this._invalidate(k);
+                };
+                d.control.on(d.property, d.callback);
+                c.deps.push(d);
+            }
+        });
+
+        c.dirty = false;
+        let changed = !this.__equal(c.value, value);
+        c.value = value;
+        return changed;
+    }
+
+    /**
+     * Mark a computed property for recomputation. The value is recomputed immediately (and the property event emitted if changed) if the property
+     * event has listeners or if the property is persistent.
+     * @param {string} k - Computed property name
+     */
+    _invalidate(k) {
+        let c = this._computed[k];
+        c.dirty = true;
+
+        if (
+            c.persistent ||
+            (this.events[k] && this.events[k].callbacks.length > 0)
+        ) {
+            if (this._compute(k)) {
+                if (c.persistent && !this._creating) {
+                    this.NotifyProperty(k);
+                }
+                this.emit(k, c.value);
+            }
+        }
+    }
+
+    // Unsubscribe a computed property from its dependencies
+    __unsubscribeDependencies(c) {
+        c.deps.forEach((d) => {
+            if (d.control.events[d.property]) {
+                d.control.off(d.property, d.callback);
+            }
+        });
+        c.deps = [];
+    }
+
+    /**
+     * Validate and coerce a property value against the schema. Emits the 'validationError' event (scope: local_top) if the value is rejected.
+     * @param {string} property - Property name
+     * @param {*} value - Value to be validated
+     * @returns {object} - { valid: true / false, value: [coerced value], reason: [rejection reason] }
+     */
+    _validateProperty(property, value) {
+        let s = this._getSchema()[property];
+        if (!s) return { valid: true, value: value };
+
+        let v = value;
+        let reason;
+
+        if (v === null || v === undefined) {
+            if (s.required) {
+                reason = "Value is required";
+            } else if (s.default !== undefined) {
+                v = this.__clone(s.default);
+            } else if (s.type == "string") {
+                v = "";
+            } else {
+                reason = "Value cannot be null or undefined";
+            }
+        } else if (s.type != undefined) {
+            v = this.__coerce(s.type, v);
+            if (v === undefined) {
+                reason = `Value cannot be converted to ${s.type}`;
+            }
+        }
+
+        if (!reason) {
+            let length =
+                typeof v == "string" || Array.isArray(v) ? v.length : v;
+
+            if (s.required && (v === "" || (Array.isArray(v) && !v.length))) {
+                reason = "Value is required";
+            } else if (Array.isArray(s.enum) && !s.enum.includes(v)) {
+                reason = `Value should be one of: ${s.enum.join(", ")}`;
+            } else if (
+                typeof length == "number" &&
+                s.min != undefined &&
+                length < s.min
+            ) {
+                reason = `${
+                    typeof v == "number" ? "Value" : "Length"
+                } should be at least ${s.min}`;
+            } else if (
+                typeof length == "number" &&
+                s.max != undefined &&
+                length > s.max
+            ) {
+                reason = `${
+                    typeof v == "number" ? "Value" : "Length"
+                } should be at most ${s.max}`;
+            } else if (
+                s.pattern != undefined &&
+                typeof v == "string" &&
+                !new RegExp(s.pattern).test(v)
+            ) {
+                reason = `Value does not match pattern ${s.pattern}`;
+            }
+        }
+
+        if (reason) {
+            let path = this._getPath();
+            this.emit(
+                "validationError",
+                {
+                    path: path ? `${path}.${property}` : property,
+                    property: property,
+                    value: value,
+                    reason: reason,
+                },
+                "local_top"
+            );
+            return { valid: false, reason: reason };
+        }
+
+        return { valid: true, value: v };
+    }
+
+    /**
+     * Convert a value to the given schema type
+     * @param {string} type - "number", "string", "boolean", "array", "object" or "date"
+     * @param {*} value
+     * @returns {*} - Converted value, or undefined if the value cannot be converted
+     */
+    __coerce(type, value) {
+        switch (type) {
+            case "number":
+                if (typeof value == "number") {
+                    return Number.isNaN(value) ? undefined : value;
+                }
+                if (typeof value == "string" && value.trim() != "") {
+                    let n = Number(value);
+                    return Number.isFinite(n) ? n : undefined;
+                }
+                return undefined;
+            case "string":
+                return typeof value == "string" ||
+                    typeof value == "number" ||
+                    typeof value == "boolean"
+                    ? `${value}`
+                    : undefined;
+            case "boolean":
+                if (typeof value == "boolean") return value;
+                if (value === "true" || value === 1) return true;
+                if (value === "false" || value === 0) return false;
+                return undefined;
+            case "array":
+                return Array.isArray(value) ? value : undefined;
+            case "object":
+                return this.__isPlainObject(value) ? value : undefined;
+            case "date": {
+                if (
+                    !this.__isDate(value) &&
+                    typeof value != "string" &&
+                    typeof value != "number"
+                ) {
+                    return undefined;
+                }
+                let d = new Date(
+                    this.__isDate(value) ? value.getTime() : value
+                );
+                return Number.isNaN(d.getTime()) ? undefined : d;
+            }
+            default:
+                return value;
+        }
+    }
+
+    /**
+     * Describe this control's settable properties and their schema, and computed properties (e.g. for tooling and form generators)
+     * @returns {object} - { controlType: [control type], properties: { [property name]: { type, [schema rules] } }, computed: { [property name]: { persistent } } }
+     */
+    describe() {
+        let schema = this._getSchema();
+        let properties = {};
+
+        Object.keys(this._properties).forEach((k) => {
+            let v = this._properties[k];
+            let d = Object.assign(
+                {
+                    type: Array.isArray(v)
+                        ? "array"
+                        : this.__isDate(v)
+                        ? "date"
+                        : typeof v,
+                },
+                this.__clone(schema[k])
+            );
+            if (schema[k] && schema[k].pattern instanceof RegExp) {
+                d.pattern = schema[k].pattern.source;
+            }
+            properties[k] = d;
+        });
+
+        let computed = {};
+        Object.keys(this._computed).forEach((k) => {
+            computed[k] = { persistent: this._computed[k].persistent };
+        });
+
+        return {
+            controlType: this.controlType,
+            properties: properties,
+            computed: computed,
+        };
+    }
+
+    /**
+     * Enable undo / redo history on this control. Property changes, child control creation and child control removal in this control and its child controls are recorded
+     * as reversible entries. Changes made in a transaction (see transaction()) are grouped into a single entry.
+     * @param {object} options - [Optional] { maxDepth: [maximum number of undo entries, default 100], groupMs: [group changes made within the given time (in milliseconds) into a single entry, default 0] }
+     */
+    enableHistory(options = {}) {
+        this._history = {
+            undo: [],
+            redo: [],
+            maxDepth: options.maxDepth > 0 ? options.maxDepth : 100,
+            groupMs: options.groupMs || 0,
+            ignore: 0, // Recording is suppressed while greater than 0
+            restoring: new Set(), // Paths of child controls being recreated by undo / redo
+            canUndo: false,
+            canRedo: false,
+        };
+    }
+
+    /**
+     * Disable undo / redo history on this control, and clear the recorded history
+     */
+    disableHistory() {
+        if (this._history) {
+            this.clearHistory();
+            this._history = undefined;
+        }
+    }
+
+    /**
+     * Clear the recorded undo / redo history
+     */
+    clearHistory() {
+        if (this._history) {
+            this._history.undo = [];
+            this._history.redo = [];
+            this._historyChanged();
+        }
+    }
+
+    /**
+     * True if there are changes to undo. The 'canUndo' event is emitted when the value changes.
+     */
+    get canUndo() {
+        return this._history != undefined && this._history.undo.length > 0;
+    }
+
+    /**
+     * Controls extending ui may declare their own "canUndo" property. Replace the built-in getter with a normal (own) property in that case.
+     */
+    set canUndo(val) {
+        Object.defineProperty(this, "canUndo", {
+            value: val,
+            writable: true,
+            enumerable: true,
+            configurable: true,
+        });
+    }
+
+    /**
+     * True if there are undone changes to redo. The 'canRedo' event is emitted when the value changes.
+     */
+    get canRedo() {
+        return this._history != undefined && this._history.redo.length > 0;
+    }
+
+    /**
+     * Controls extending ui may declare their own "canRedo" property. Replace the built-in getter with a normal (own) property in that case.
+     */
+    set canRedo(val) {
+        Object.defineProperty(this, "canRedo", {
+            value: val,
+            writable: true,
+            enumerable: true,
+            configurable: true,
+        });
+    }
+
+    /**
+     * Undo the last recorded history entry
+     * @returns {Promise} - Promise resolving when the changes are reverted (including recreation of removed child controls)
+     */
+    undo() {
+        return this._applyHistory(true);
+    }
+
+    /**
+     * Redo the last undone history entry
+     * @returns {Promise} - Promise resolving when the changes are reapplied (including recreation of child controls)
+     */
+    redo() {
+        return this._applyHistory(false);
+    }
+
+    /**
+     * Run the passed function without recording changes in the undo history (e.g. when applying data received from a server)
+     * @param {function} fn - Function making changes to the control tree. If the function returns a promise, recording is suppressed until the promise settles.
+     * @returns {*} - The function's return value
+     */
+    ignoreHistory(fn) {
+        let history = this._getHistoryControl();
+        if (!history) return fn();
+
+        history._history.ignore++;
+        let end = () => {
+            history._history.ignore--;
+        };
+
+        let result;
+        try {
+            result = fn();
+        } catch (err) {
+            end();
+            throw err;
+        }
+
+        if (result && typeof result.then == "function") {
+            return result.finally(end);
+        }
+
+        end();
+        return result;
+    }
+
+    // Get the nearest control (this control or an ancestor) with history enabled
+    _getHistoryControl() {
+        let c = this;
+        while (c && !c._history) {
+            c = c._parent;
+        }
+        return c;
+    }
+
+    /**
+     * Record a change in the nearest history enabled control
+     * @param {object} record - { type: "set" / "create" / "remove", ... }
+     */
+    _recordHistory(record) {
+        // Get the history enabled control and the path from it to this control
+        let path = [];
+        let c = this;
+        while (c && !c._history) {
+            if (c._creating) return;
+            path.unshift(c.name);
+            c = c._parent;
+        }
+        if (!c || c._history.ignore > 0) return;
+
+        let history = c._history;
+        // Child controls recreated by undo / redo are not recorded
+        if (
+            record.type == "create" &&
+            history.restoring.has([...path, record.name].join("."))
+        ) {
+            return;
+        }
+        let top = this._topLevelParent || this;
+        let now = Date.now();
+        record.path = path;
+        record.oldValue = this.__clone(record.oldValue);
+        record.newValue = this.__clone(record.newValue);
+
+        // Group with the previous entry if made in the same transaction or within the grouping time window
+        let last = history.undo[history.undo.length - 1];
+        if (
+            last &&
+            ((top._txDepth > 0 && last.txId == top._txId) ||
+                (history.groupMs > 0 && now - last.time < history.groupMs))
+        ) {
+            // Only keep the original value when a property is changed multiple times
+            let prev = last.records[last.records.length - 1];
+            if (
+                record.type == "set" &&
+                prev.type == "set" &&
+                prev.property == record.property &&
+                prev.path.join(".") == path.join(".")
+            ) {
+                prev.newValue = record.newValue;
+            } else {
+                last.records.push(record);
+            }
+            last.time = now;
+        } else {
+            history.undo.push({
+                records: [record],
+                txId: top._txDepth > 0 ? top._txId : undefined,
+                time: now,
+            });
+            if (history.undo.length > history.maxDepth) {
+                history.undo.shift();
+            }
+        }
+
+        history.redo = [];
+        c._historyChanged();
+    }
+
+    // Undo (or redo) the last history entry
+    _applyHistory(undo) {
+        let history = this._history;
+        if (!history) return Promise.resolve();
+
+        let entry = undo ? history.undo.pop() : history.redo.pop();
+        if (!entry) return Promise.resolve();
+
+        let pending = [];
+        history.ignore++;
+        try {
+            let records = undo
+                ? entry.records.slice().reverse()
+                : entry.records;
+            records.forEach((r) => {
+                // Resolve the control where the change was made
+                let control = this;
+                r.path.forEach((name) => {
+                    control = control && control._controls[name];
+                });
+                if (!control) {
+                    console.log(
+                        `${this.name}: Unable to ${
+                            undo ? "undo" : "redo"
+                        } change: Control "${r.path.join(".")}" not found`
+                    );
+                    return;
+                }
+
+                if (r.type == "set") {
+                    control[r.property] = this.__clone(
+                        undo ? r.oldValue : r.newValue
+                    );
+                } else if ((r.type == "create") == undo) {
+                    // Remove the created control (keeping its data for redo)
+                    if (control._controls[r.name]) {
+                        r.data = control._controls[r.name].Get({
+                            sparse: false,
+                        });
+                        control.RemoveChild(r.name);
+                    }
+                } else if (r.data) {
+                    // Recreate the removed control. Creation may complete asynchronously (e.g. when loading the control's class), so only this control's creation is excluded from recording.
+                    let data = this.__clone(r.data);
+                    delete data.name;
+                    let key = [...r.path, r.name].join(".");
+                    history.restoring.add(key);
+                    pending.push(
+                        control.Set({ [r.name]: data }).finally(() => {
+                            history.restoring.delete(key);
+                        })
+                    );
+                }
+            });
+        } catch (err) {
+            console.log(
+                `${this.name}: Unable to apply history entry: ${err.message}`
+            );
+        }
+
+        history.ignore--;
+
+        (undo ? history.redo : history.undo).push(entry);
+        this._historyChanged();
+
+        return Promise.all(pending).catch((err) => {
+            console.log(
+                `${this.name}: Unable to apply history entry: ${err.message}`
+            );
+        });
+    }
+
+    // Emit the canUndo and canRedo events when changed
+    _historyChanged() {
+        let h = this._history;
+        if (!h) return;
+
+        // Not using the canUndo and canRedo getters, as these may be replaced by properties declared by extending controls
+        let canUndo = h.undo.length > 0;
+        let canRedo = h.redo.length > 0;
+        if (h.canUndo != canUndo) {
+            h.canUndo = canUndo;
+            this.emit("canUndo", canUndo);
+        }
+        if (h.canRedo != canRedo) {
+            h.canRedo = canRedo;
+            this.emit("canRedo", canRedo);
+        }
+    }
+
+    // Generate a unique ID
+    _generateUuid() {
+        // Fall back to Math.random() in environments without the Web Crypto API
+        let random =
+            typeof crypto != "undefined" && crypto.getRandomValues
+                ? () => crypto.getRandomValues(new Uint8Array(1))[0]
+                : () => Math.floor(Math.random() * 256);
+
+        // code from https://stackoverflow.com/questions/105034/how-to-create-a-guid-uuid
+        return (
+            "_" +
+            ([1e7] + -1e3 + -4e3 + -8e3 + -1e11)
+                .replace(/[018]/g, (c) =>
+                    (c ^ (random() & (15 >> (c / 4)))).toString(16)
+                )
+                .replace(/-/g, "")
+        );
+    }
+
+    // Return an existing class from a passed control type name. Registered classes are resolved first. If ui.evalFallback is enabled,
+    // unregistered names are resolved as global class names.
+    _getDynamicClass(name) {
+        if (__controlRegistry[name]) {
+            return __controlRegistry[name];
+        }
+
+        if (!ui.evalFallback) {
+            return undefined;
+        }
+
+        // adapted from https://stackoverflow.com/questions/5646279/get-object-class-from-string-name-in-javascript
+        if (!__evalClassCache[name]) {
+            // cache is not ready, fill it up
+            if (
+                name.match(
+                    /^[a-zA-Z_$][a-zA-Z0-9_$]*(\.[a-zA-Z_$][a-zA-Z0-9_$]*)*$/
+                )
+            ) {
+                // proceed only if the name is a (dot separated) class name
+                try {
+                    __evalClassCache[name] = eval(name);
+                } catch {
+                    return undefined;
+                }
+            } else {
+                // arbitrary code is detected
+                return undefined;
+            }
+        }
+        return __evalClassCache[name];
+    }
+
+    // Order all child controls according to this control's orderBy, orderAsc and sortFunction.
+    _order() {
+        let controls = this._controlList.slice();
+
+        // Unsubscribe from previous sort property changes
+        controls.forEach((control) => {
+            this._unsubscribeOrder(control);
+        });
+
+        if (this._sortActive()) {
+            // Subscribe to child controls' sort property changes
+            controls.forEach((control) => {
+                this._subscribeOrder(control);
+            });
+
+            // Sort (stable: child controls with equal sort values keep their order)
+            this._sorted = controls.sort((a, b) => this._compareOrder(a, b));
+
+            this._applyOrder();
+        } else {
+            this._sorted = [];
+        }
+
+        // Update the filtered child controls order (and the shown page)
+        this._filterList = undefined;
+        if (this.pageSize > 0) this._filterChanged();
+
+        if (this._virtual) this._scheduleVirtual(true);
+    }
+
+    /**
+     * Set a custom sort function, used to sort child controls before sorting by orderBy. The sort order is reversed when orderAsc is false.
+     * @param {function} sortFunction - Compare function receiving two child controls, and returning a negative number if the first control should be placed first, a positive number if the second control should be placed first, or 0 to sort by orderBy (e.g. (a, b) => a.priority - b.priority). Pass null to remove the sort function. If not passed, the current sort order is applied again.
+     * @param {object} options - Optional sort options: { monitor: ['propertyName1', 'propertyName2'] } - monitor: An array of child control property names which will trigger sorting on child property value(s) change.
+     */
+    sort(sortFunction, options) {
+        if (typeof sortFunction == "function") {
+            this.sortFunction = sortFunction;
+        } else if (sortFunction === null) {
+            this.sortFunction = undefined;
+            this._sortMonitor = [];
+        } else if (sortFunction != undefined) {
+            console.log("Sort function is not a valid function");
+            return;
+        }
+
+        if (options && Array.isArray(options.monitor)) {
+            this._sortMonitor = options.monitor;
+        }
+
+        this._order();
+    }
+
+    /**
+     * True if the child controls are sorted (orderBy or a sort function is set)
+     * @returns {boolean}
+     */
+    _sortActive() {
+        return (
+            typeof this.sortFunction == "function" ||
+            this._orderKeys().length > 0 ||
+            !!(this._search && this._search.rank)
+        );
+    }
+
+    /**
+     * Get the sort keys from orderBy
+     * @returns {Array} - List of { key: [property name], direction: 1 (ascending) / -1 (descending) }
+     */
+    _orderKeys() {
+        let keys = Array.isArray(this.orderBy)
+            ? this.orderBy
+            : `${this.orderBy || ""}`.split(",");
+
+        return keys
+            .map((k) => {
+                if (k && typeof k == "object") {
+                    return { key: k.key, direction: k.asc === false ? -1 : 1 };
+                }
+                k = `${k}`.trim();
+                if (k[0] == "-" || k[0] == "+") {
+                    return {
+                        key: k.slice(1).trim(),
+                        direction: k[0] == "-" ? -1 : 1,
+                    };
+                }
+                return { key: k, direction: 1 };
+            })
+            .filter((k) => k.key);
+    }
+
+    /**
+     * Compare two child controls by the sort function and orderBy keys
+     * @param {ui} a
+     * @param {ui} b
+     * @returns {number} - Negative if a should be placed before b, positive if b should be placed before a, 0 if equal
+     */
+    _compareOrder(a, b) {
+        // Rank search results (see search()) before other sort criteria
+        if (this._search && this._search.rank) {
+            let rank = this._searchScore(b) - this._searchScore(a);
+            if (rank) return rank;
+        }
+
+        let result = 0;
+        if (typeof this.sortFunction == "function") {
+            result = this.sortFunction(a, b) || 0;
+        }
+        if (!result) {
+            for (let k of this._orderKeys()) {
+                result = this.__compareValues(a[k.key], b[k.key]) * k.direction;
+                if (result) break;
+            }
+        }
+        return this.orderAsc ? result : -result;
+    }
+
+    /**
+     * Compare two sort values. Strings are compared with Intl.Collator (locale aware, with numbers in strings compared by value, e.g. "9" before "10").
+     * Undefined and null values are placed last.
+     * @param {*} a
+     * @param {*} b
+     * @returns {number}
+     */
+    __compareValues(a, b) {
+        if (a == undefined || b == undefined) {
+            if (a == undefined && b == undefined) return 0;
+            return a == undefined ? 1 : -1;
+        }
+        if (this.__isDate(a)) a = a.getTime();
+        if (this.__isDate(b)) b = b.getTime();
+        if (typeof a == "string" || typeof b == "string") {
+            let locale = ui.sortLocale;
+            let id = `${locale}`;
+            if (!__collators[id]) {
+                __collators[id] = new Intl.Collator(locale, {
+                    numeric: true,
+                    sensitivity: "base",
+                });
+            }
+            return __collators[id].compare(`${a}`, `${b}`);
+        }
+        if (a > b) return 1;
+        if (b > a) return -1;
+        return 0;
+    }
+
+    /**
+     * Get the index in the _sorted array at which a child control should be inserted (after child controls with equal sort values)
+     * @param {ui} control
+     * @returns {number}
+     */
+    _sortIndex(control) {
+        let index = this._sorted.findIndex(
+            (t) => this._compareOrder(control, t) < 0
+        );
+        return index < 0 ? this._sorted.length : index;
+    }
+
+    /**
+     * Subscribe to a child control's sort property changes (orderBy keys and sort function monitored properties)
+     * @param {ui} control
+     */
+    _subscribeOrder(control) {
+        this._unsubscribeOrder(control);
+
+        control.__sortCallback = () => {
+            this._orderSingle(control);
+        };
+        control.__sortProperties = this._orderKeys()
+            .map((k) => k.key)
+            .concat(this._sortMonitor)
+            .filter((p, i, a) => a.indexOf(p) === i);
+        control.__sortProperties.forEach((p) => {
+            // Unsubscribed in _unsubscribeOrder()
+            control.on(p, control.__sortCallback);
+        });
+    }
+
+    /**
+     * Unsubscribe from a child control's sort property changes
+     * @param {ui} control
+     */
+    _unsubscribeOrder(control) {
+        if (control.__sortCallback) {
+            (control.__sortProperties || []).forEach((p) => {
+                control.off(p, control.__sortCallback);
+            });
+            delete control.__sortCallback;
+            delete control.__sortProperties;
+        }
+    }
+
+    // Apply the sort order of the _sorted array to the child controls' HTML elements in their container elements
+    _applyOrder() {
+        // No HTML elements to be sorted in headless mode
+        if (this._headless) return;
+
+        // Group the sorted elements that are added to the DOM by container element
+        let containers = new Map();
+        let virtualized = false;
+        this._sorted.forEach((c) => {
+            if (this._virtual && c.parentElement == this._virtual.element) {
+                // Virtualized containers are ordered when rendered
+                virtualized = true;
+                return;
+            }
+            let container = this._containerOf(c);
+            if (container && c._element && c._element.parentNode == container) {
+                if (!containers.has(container)) containers.set(container, []);
+                containers.get(container).push(c);
+            }
+        });
+        if (virtualized) this._scheduleVirtual(true);
+
+        // Apply sort order to html elements
+        containers.forEach((sorted, container) => {
+            for (let i = sorted.length - 2; i >= 0; i--) {
+                let element = sorted[i]._element;
+                let nextElement = sorted[i + 1]._element;
+                if (element.nextSibling != nextElement) {
+                    container.insertBefore(element, nextElement);
+                }
+            }
+        });
+    }
+
+    // Change a single child control's sort position after a change of one of its sort properties.
+    _orderSingle(control) {
+        // Move the control in the _sorted array
+        let removeIndex = this._sorted.indexOf(control);
+        if (removeIndex >= 0) this._sorted.splice(removeIndex, 1);
+        this._sorted.splice(this._sortIndex(control), 0, control);
+
+        // Update the filtered child controls order (and the shown page)
+        this._filterList = undefined;
+        if (this.pageSize > 0) this._filterChanged();
+
+        // Apply sort order to HTML element
+        let container = this._containerOf(control);
+        let element = control._element;
+        if (this._headless) {
+            // No HTML elements to be sorted in headless mode
+        } else if (
+            this._virtual &&
+            control.parentElement == this._virtual.element
+        ) {
+            // Virtualized containers are ordered when rendered
+            this._scheduleVirtual(true);
+        } else if (container && element && element.parentNode == container) {
+            // Place the element after the previous (or before the next) sorted element in the same container
+            let siblings = this._sorted.filter(
+                (c) => c._element && c._element.parentNode == container
+            );
+            let index = siblings.indexOf(control);
+            if (index > 0) {
+                siblings[index - 1]._element.after(element);
+            } else if (siblings.length > 1) {
+                container.insertBefore(element, siblings[1]._element);
+            }
+        }
+    }
+
+    // Group all child controls in the _controlsDiv element according to this control's groupBy property.
+    _group() {
+        if (this._headless) return;
+
+        let controls = this._controlList.filter(
+            (c) => c.parentElement == "_controlsDiv"
+        );
+
+        // Move the elements of grouped child controls back to the _controlsDiv element, and remove the existing groups
+        controls.forEach((c) => {
+            if (c.__group && c._element && this._controlsDiv) {
+                this._controlsDiv.appendChild(c._element);
+            }
+            this._ungroup(c);
+        });
+
+        // Add child controls of which the HTML is added to the DOM to their groups
+        if (this._grouped()) {
+            controls.forEach((c) => {
+                if (c._element && c._element.parentNode) {
+                    this._assignGroup(c)._controlsDiv.appendChild(c._element);
+                }
+            });
+        }
+
+        if (this._sortActive()) this._applyOrder();
+    }
+
+    /**
+     * True if the child controls in the _controlsDiv element should be added to group controls (see groupBy). Grouping is not applied in headless mode and to virtualized containers.
+     * @returns {boolean}
+     */
+    _grouped() {
+        return (
+            !!this.groupBy &&
+            !this._headless &&
+            !!this._controlsDiv &&
+            !(this._virtual && this._virtual.element == "_controlsDiv")
+        );
+    }
+
+    /**
+     * Get the element in which a child control's element is added
+     * @param {ui} control
+     * @returns {*} - Container element
+     */
+    _containerOf(control) {
+        if (control.__group && control.parentElement == "_controlsDiv") {
+            return control.__group._controlsDiv;
+        }
+        return this[control.parentElement];
+    }
+
+    /**
+     * Get the group key of a child control (the value of the child control's groupBy property)
+     * @param {ui} control
+     * @returns {*}
+     */
+    _groupKey(control) {
+        let value = control[this.groupBy];
+        if (value == undefined) return "";
+        return this.__isDate(value) ? value.getTime() : value;
+    }
+
+    /**
+     * Add a child control to the group control matching its group key (creating the group control if needed), and subscribe to the child control's groupBy property changes
+     * @param {ui} control
+     * @returns {ui} - Group control
+     */
+    _assignGroup(control) {
+        let group = this._joinGroup(control);
+
+        control.__groupCallback = () => {
+            this._regroup(control);
+        };
+        control.__groupProperty = this.groupBy;
+        // Unsubscribed in _ungroup()
+        control.on(control.__groupProperty, control.__groupCallback);
+
+        return group;
+    }
+
+    /**
+     * Remove a child control from its group control (removing the group control if empty), and unsubscribe from the child control's groupBy property changes
+     * @param {ui} control
+     */
+    _ungroup(control) {
+        if (control.__groupCallback) {
+            control.off(control.__groupProperty, control.__groupCallback);
+            delete control.__groupCallback;
+            delete control.__groupProperty;
+        }
+        this._leaveGroup(control);
+    }
+
+    /**
+     * Move a child control to another group control after a change of its groupBy property
+     * @param {ui} control
+     */
+    _regroup(control) {
+        let previous = control.__group;
+        if (!previous || previous.__key === this._groupKey(control)) return;
+
+        let group = this._joinGroup(control);
+        if (control._element && control._element.parentNode) {
+            group._controlsDiv.appendChild(control._element);
+            if (this._sortActive()) this._orderSingle(control);
+        }
+
+        previous.count--;
+        if (previous.count <= 0) this._removeGroup(previous);
+    }
+
+    /**
+     * Add a child control to the group control matching its group key, creating the group control if needed
+     * @param {ui} control
+     * @returns {ui} - Group control
+     */
+    _joinGroup(control) {
+        let key = this._groupKey(control);
+        let group = this._groups.get(key) || this._newGroup(key);
+        control.__group = group;
+        group.count++;
+        return group;
+    }
+
+    /**
+     * Remove a child control from its group control, and remove the group control if empty
+     * @param {ui} control
+     */
+    _leaveGroup(control) {
+        let group = control.__group;
+        delete control.__group;
+        if (!group) return;
+
+        group.count--;
+        if (group.count <= 0) this._removeGroup(group);
+    }
+
+    /**
+     * Create a group control (see groupControlType) and add its HTML to the _controlsDiv element (ordered by group key). Group controls are not part of the control's data.
+     * @param {*} key - Group key
+     * @returns {ui} - Group control
+     */
+    _newGroup(key) {
+        let groupClass = this.groupControlType
+            ? this._getDynamicClass(this.groupControlType)
+            : uiGroup;
+        if (!groupClass) {
+            console.log(
+                `${this.name}: Unable to create group of control type "${this.groupControlType}". Control type not found.`
+            );
+            groupClass = uiGroup;
+        }
+
+        let group = new groupClass();
+        group.name = `${key}`;
+        group.value = key;
+        group.__key = key;
+        group._path = this._path;
+        group._createProperties();
+        group._createComputed();
+        this._groups.set(key, group);
+
+        // Parse group control html
+        let p = this._parseHtml(group);
+        group._elementIdQueue.push(...p.idData);
+        group._elementAttributeQueue.push(...p.elementData);
+        group._element.innerHTML = p.html;
+
+        // Add the group control's element before the first group with a higher group key
+        let next = this.getGroups().find(
+            (g) => g != group && this.__compareValues(g.__key, key) > 0
+        );
+        this._controlsDiv.insertBefore(
+            group._element,
+            next ? next._element : null
+        );
+
+        group._createDataBindings();
+        group._show();
+        group.Init();
+        group._init = true;
+        group.__resolveInit();
+
+        return group;
+    }
+
+    /**
+     * Remove a group control and its HTML
+     * @param {ui} group
+     */
+    _removeGroup(group) {
+        this._groups.delete(group.__key);
+        group.emit("remove", group);
+        group.RemoveHtml();
+        group.clearEvents();
+    }
+
+    /**
+     * Get the group controls (see groupBy) ordered by group key. The group key is available as group.value, the number of child controls in the group as group.count and the collapse state as group.collapsed.
+     * @returns {Array} - List of group controls
+     */
+    getGroups() {
+        return Array.from(this._groups.values()).sort((a, b) =>
+            this.__compareValues(a.__key, b.__key)
+        );
+    }
+
+    /**
+     * Set the filter function that should be applied to child controls' visibility. The filter() function does not change the control.visible property of child controls but merely hides / shows the HTML elements of the child controls based on the passed function output.
+     * @param {function} filterFunction - Filter function (e.g. t => t.filterProperty == filterValue)
+     * @param {object} options - Optional filter options: { monitor: ['propertyName1', 'propertyName2'] } - monitor: An array of child control property names which will trigger the filter on child property value(s) change.
+     */
+    filter(filterFunction, options) {
+        // Replacing the search filter ends the search (see search())
+        if (this._search && filterFunction !== this._search.filter) {
+            this.search("");
+        }
+
+        if (typeof filterFunction == "function") {
+            this._filterFunction = filterFunction;
+            this._filter(filterFunction, options);
+        } else if (filterFunction == undefined) {
+            this._filterFunction = undefined;
+            this._filter();
+        } else {
+            console.log("Filter function is not a valid function");
+        }
+    }
+
+    /**
+     * Apply visual filter
+     * @param {function} filterFunction
+     * @param {object} options - Optional filter options: { monitor: ['propertyName1', 'propertyName2'] } - monitor: An array of child control property names which will trigger the filter on child property value(s) change.
+     */
+    _filter(filterFunction, options) {
+        if (options && options.monitor && Array.isArray(options.monitor)) {
+            // Add new filter options
+            options.monitor.forEach((propertyName) => {
+                if (!this._filterMonitorProperties[propertyName]) {
+                    this._filterMonitorProperties[propertyName] = true;
+
+                    // Subscribe to property change event on all existing child controls
+                    Object.values(this._controls).forEach((control) => {
+                        control._filterCallbacks[propertyName] = control.on(
+                            propertyName,
+                            () => {
+                                this._filterSingle(control);
+                            },
+                            { caller: this }
+                        );
+                    });
+                }
+            });
+
+            // Remove old filter options
+            Object.keys(this._filterMonitorProperties).forEach(
+                (propertyName) => {
+                    if (!options.monitor.find((p) => p == propertyName)) {
+                        delete this._filterMonitorProperties[propertyName];
+
+                        // Unsubscribe from property change event on all child controls
+                        Object.values(this._controls).forEach((control) => {
+                            if (control._filterCallbacks[propertyName]) {
+                                control.off(
+                                    propertyName,
+                                    control._filterCallbacks[propertyName]
+                                );
+                                delete control._filterCallbacks[propertyName];
+                            }
+                        });
+                    }
+                }
+            );
+        } else {
+            this._filterMonitorProperties = {};
+
+            // Unsubscribe from all property change events on all child controls if no property names to be monitored is passed.
+            Object.values(this._controls).forEach((control) => {
+                Object.keys(control._filterCallbacks).forEach(
+                    (propertyName) => {
+                        control.off(
+                            propertyName,
+                            control._filterCallbacks[propertyName]
+                        );
+                        delete control._filterCallbacks[propertyName];
+                    }
+                );
+            });
+        }
+
+        // Apply (or remove) filter
+        Object.values(this._controls).forEach((control) => {
+            this._filterSingle(control);
+        });
+        if (this.pageSize > 0) this._applyPage();
+    }
+
+    /**
+     * Subscribe to a child control's filter monitored property changes (see filter())
+     * @param {ui} control
+     */
+    _subscribeFilter(control) {
+        Object.keys(this._filterMonitorProperties).forEach((propertyName) => {
+            control._filterCallbacks[propertyName] = control.on(
+                propertyName,
+                () => {
+                    this._filterSingle(control);
+                },
+                { caller: this }
+            );
+        });
+    }
+
+    /**
+     * True if a child control is visible and matches the filter function (if any)
+     * @param {ui} control
+     * @returns {boolean}
+     */
+    _filterMatch(control) {
+        return (
+            !!control.visible &&
+            (!this._filterFunction || !!this._filterFunction(control))
+        );
+    }
+
+    /**
+     * Show / hide a child control's element according to the filter function after a change of the control's visibility or filter properties.
+     * Matching child controls are shown by _applyPage() when the filtered child controls are paged (see pageSize).
+     * @param {ui} control
+     */
+    _filterSingle(control) {
+        if (!this._filterMatch(control)) {
+            control._hide();
+        } else if (!(this.pageSize > 0)) {
+            control._show();
+        }
+        this._filterChanged();
+    }
+
+    /**
+     * Clear the cached filtered child controls list, and emit the filterChanged event (and apply paging) after the current batch of changes.
+     * The page is moved to the last page if the number of filtered child controls shrinks below the current page.
+     */
+    _filterChanged() {
+        this._filterList = undefined;
+        if (this._filterScheduled) return;
+
+        this._filterScheduled = true;
+        Promise.resolve().then(() => {
+            let matched = this._filteredControls().length;
+            let pages =
+                this.pageSize > 0 ? Math.ceil(matched / this.pageSize) : 1;
+
+            // Clamp the page to the last page (while still scheduled, as the page change is handled by _paginate())
+            if (this.pageSize > 0 && this.page > Math.max(pages - 1, 0)) {
+                this.page = Math.max(pages - 1, 0);
+            }
+
+            this._filterScheduled = false;
+            if (this.pageSize > 0) this._applyPage();
+
+            this.emit("filterChanged", {
+                matched: matched,
+                total: Object.keys(this._controls).length,
+                page: this.page,
+                pages: pages,
             });
-        } else {
-            if (this._parent != undefined) {
-                // Pass the request to the top level parent
-                return this._parent._loadScript(className);
+        });
+    }
+
+    /**
+     * Visible child controls matching the filter function (see filter()), in display (sort) order. Includes filtered child controls on other pages (see pageSize).
+     * @returns {Array}
+     */
+    get filteredControls() {
+        return this._filteredControls();
+    }
+
+    /**
+     * Controls extending ui may declare their own "filteredControls" property. Replace the built-in getter with a normal (own) property in that case.
+     */
+    set filteredControls(val) {
+        Object.defineProperty(this, "filteredControls", {
+            value: val,
+            writable: true,
+            enumerable: true,
+            configurable: true,
+        });
+    }
+
+    // Get the (cached) filtered child controls (see filteredControls)
+    _filteredControls() {
+        if (!this._filterList) {
+            let controls = this._sortActive()
+                ? this._sorted
+                : this._controlList;
+            this._filterList = controls.filter((c) => this._filterMatch(c));
+        }
+        return this._filterList.slice();
+    }
+
+    /**
+     * Get the filtered child controls on the current page (see pageSize and page)
+     * @returns {Array}
+     */
+    _pageControls() {
+        let controls = this._filteredControls();
+        if (!(this.pageSize > 0)) return controls;
+        let start = this.page * this.pageSize;
+        return controls.slice(start, start + this.pageSize);
+    }
+
+    /**
+     * Show the filtered child controls on the current page, and hide all other child controls
+     */
+    _applyPage() {
+        let shown = new Set(this._pageControls());
+        Object.values(this._controls).forEach((control) => {
+            if (shown.has(control)) {
+                control._show();
             } else {
-                return new Promise(async (resolve, reject) => {
-                    // Subscribe to the _scriptLoad event
-                    this.once(`_scriptLoad_${className}`, (result) => {
-                        resolve(result);
-                    });
+                control._hide();
+            }
+        });
+    }
 
-                    // Only process first request
-                    if (!this._pendingScripts[className]) {
-                        this._pendingScripts[className] = true;
+    // Apply paging after a change of this control's pageSize or page property
+    _paginate() {
+        this._filterChanged();
+        this._applyPage();
+    }
 
-                        try {
-                            // Download script file to check if script extends another class
-                            let scriptFile;
-                            await fetch(this._path + "/" + className + ".js")
-                                // Catch fetch error's (https://stackoverflow.com/questions/39297345/fetch-resolves-even-if-404)
-                                .then((res) => {
-                                    if (!res.ok) {
-                                        throw new Error("");
-                                    } else {
-                                        scriptFile = res;
-                                    }
-                                })
-                                .catch((err) => {
-                                    throw new Error("");
-                                });
-                            let text = await scriptFile.text();
+    /**
+     * Filter and rank child controls by a full-text search over child control properties. Built on filter(): calling filter() ends the search.
+     * @param {string} query - Search text. Child controls should match all (space separated) words of the query. Pass an empty query to clear the search.
+     * @param {object} options - { fields: ['propertyName1', 'propertyName2'], fuzzy: true / [maximum number of edits], highlight: true / false, rank: true / false } - fields: Child control property names to be searched. Matches in earlier fields are ranked higher. fuzzy: Also match words with up to the given number of edits (true: 1 edit, or 2 edits for words longer than 5 characters). highlight: Wrap matches in <mark> elements in text content bound to the searched properties. rank: Sort the child controls by search rank before sorting by orderBy (default: true).
+     */
+    search(query, options = {}) {
+        let terms = this.__searchText(query)
+            .text.split(/\s+/)
+            .filter((t) => t);
+        let fields = Array.isArray(options.fields)
+            ? options.fields
+            : [options.fields].filter((f) => f);
+
+        if (terms.length > 0 && fields.length == 0) {
+            console.log(`${this.name}: Unable to search: No fields passed`);
+            return;
+        }
 
-                            // Match class with extend keyword
-                            let match = text.match(
-                                /class[\t_a-zA-Z0-9 ]*extends.*{/gm
-                            );
-                            if (Array.isArray(match)) {
-                                match = match[0];
-                            }
+        // Rebuild the search index when the searched fields change
+        let previous = this._search;
+        if (
+            !previous ||
+            terms.length == 0 ||
+            previous.fields.join() != fields.join()
+        ) {
+            Object.values(this._controls).forEach((control) => {
+                this._clearSearchEntry(control);
+            });
+        }
 
-                            if (match) {
-                                // Extract extended class name
-                                match = match.replace(
-                                    /class[\t_a-zA-Z0-9 ]*extends[ \t\n]*/gm,
-                                    ""
-                                );
-                                match = match.replace(/[\t_ \n]*{/gm, "");
-                                match = match.replace(/_uiClasses/m, "");
-                                match = match.replace(/[^a-zA-Z0-9_ ]/gm, " ");
-                                match = match.split(/\s+/gm);
-                                if (match.length > 0) {
-                                    let _p = [];
-                                    match.forEach(async (m) =>
-                                        _p.push(
-                                            new Promise(async (resolve) => {
-                                                m &&
-                                                    (await this._loadScript(m));
-                                                resolve();
-                                            })
-                                        )
-                                    );
-                                    await Promise.all(_p);
-                                }
-                            }
+        if (terms.length == 0) {
+            this._search = undefined;
+            if (previous) {
+                if (this._filterFunction == previous.filter) this.filter();
+                this._order();
+                Object.values(this._controls).forEach((control) => {
+                    this._highlight(control);
+                });
+            }
+            return;
+        }
 
-                            // Load script
-                            const script = document.createElement("script");
-                            script.type = "text/javascript";
+        this._search = {
+            terms: terms,
+            fields: fields,
+            fuzzy: options.fuzzy || false,
+            highlight: !!options.highlight,
+            rank: options.rank !== false,
+            filter: undefined, // Search filter function (see filter())
+        };
+        Object.values(this._controls).forEach((control) => {
+            control.__searchScore = undefined;
+        });
 
-                            // Create child controls when the script is done loading
-                            script.onload = () => {
-                                // Delete the pending controls flag
-                                delete this._pendingScripts[className];
+        this._search.filter = (control) => this._searchScore(control) > 0;
+        this.filter(this._search.filter);
+        this._order();
+        Object.values(this._controls).forEach((control) => {
+            this._highlight(control);
+        });
+    }
 
-                                // fire _scriptLoad event
-                                this.emit(`_scriptLoad_${className}`, true);
-                            };
+    /**
+     * Get a child control's search index entry, indexing the child control (and subscribing to its searched property changes) if not yet indexed
+     * @param {ui} control
+     * @returns {object} - Normalized property values by property name (see __searchText())
+     */
+    _searchEntry(control) {
+        if (!control.__searchIndex) {
+            control.__searchIndex = {};
+            control.__searchCallbacks = {};
+            this._search.fields.forEach((field) => {
+                control.__searchIndex[field] = this.__searchText(
+                    control._getValue(field)
+                );
+                control.__searchCallbacks[field] = () => {
+                    this._updateSearchEntry(control, field);
+                };
+                // Unsubscribed in _clearSearchEntry()
+                control.on(field, control.__searchCallbacks[field]);
+            });
+        }
+        return control.__searchIndex;
+    }
 
-                            // Set script path including the root path passed to the top level parent element
-                            script.src = this._path + "/" + className + ".js";
+    /**
+     * Remove a child control's search index entry, and unsubscribe from its searched property changes
+     * @param {ui} control
+     */
+    _clearSearchEntry(control) {
+        Object.keys(control.__searchCallbacks || {}).forEach((field) => {
+            control.off(field, control.__searchCallbacks[field]);
+        });
+        delete control.__searchIndex;
+        delete control.__searchCallbacks;
+        delete control.__searchScore;
+    }
 
-                            // Ignore reject error's
-                            var rejectHandler = (event) => {};
-                            script.addEventListener("error", rejectHandler);
+    /**
+     * Update a child control's search index entry, filter, rank and highlights after a change of a searched property
+     * @param {ui} control
+     * @param {string} field - Property name
+     */
+    _updateSearchEntry(control, field) {
+        if (!this._search || !control.__searchIndex) return;
 
-                            // Add to DOM head
-                            document.head.appendChild(script);
-                        } catch (err) {
-                            console.log(
-                                `Unable to load "${className}". ${err.message}`
-                            );
-                            delete this._pendingScripts[className];
+        control.__searchIndex[field] = this.__searchText(
+            control._getValue(field)
+        );
+        control.__searchScore = undefined;
 
-                            this.emit(`_scriptLoad_${className}`, false);
+        this._filterSingle(control);
+        if (this._search.rank) this._orderSingle(control);
+        this._highlight(control);
+    }
 
-                            resolve();
-                        }
-                    }
+    /**
+     * Get a child control's search rank. Matches of whole values rank above matches at the start of words, followed by matches inside words and fuzzy matches.
+     * @param {ui} control
+     * @returns {number} - Search rank, or 0 if the child control does not match the search query
+     */
+    _searchScore(control) {
+        let s = this._search;
+        if (!s) return 0;
+
+        if (control.__searchScore === undefined) {
+            let index = this._searchEntry(control);
+            let score = 0;
+            for (let term of s.terms) {
+                let best = 0;
+                s.fields.forEach((field, i) => {
+                    this.__searchMatches(
+                        index[field].text,
+                        term,
+                        s.fuzzy
+                    ).forEach((m) => {
+                        best = Math.max(
+                            best,
+                            m.score * s.fields.length + s.fields.length - i
+                        );
+                    });
+                });
+
+                // All query words should match
+                if (!best) {
+                    score = 0;
+                    break;
+                }
+                score += best;
+            }
+            control.__searchScore = score;
+        }
+
+        return control.__searchScore;
+    }
+
+    /**
+     * Wrap search matches in <mark> elements in a child control's text content bound to the searched properties, and remove previous highlights
+     * @param {ui} control
+     */
+    _highlight(control) {
+        let s = this._search;
+        if (control._headless) return;
+
+        Object.keys(control._textBindings).forEach((property) => {
+            let value = control._getValue(property);
+            let text = value == undefined ? "" : `${value}`;
+            let ranges =
+                s && s.highlight && s.fields.includes(property)
+                    ? this.__searchRanges(text, s)
+                    : [];
+
+            control._textBindings[property].forEach((element) => {
+                if (ranges.length > 0) {
+                    let html = "";
+                    let pos = 0;
+                    ranges.forEach((r) => {
+                        html += `${this.__escapeHtml(
+                            text.slice(pos, r.start)
+                        )}<mark>${this.__escapeHtml(
+                            text.slice(r.start, r.end)
+                        )}</mark>`;
+                        pos = r.end;
+                    });
+                    element.innerHTML =
+                        html + this.__escapeHtml(text.slice(pos));
+                } else if (element.getElementsByTagName("mark").length > 0) {
+                    element.textContent = text;
+                }
+            });
+        });
+    }
+
+    /**
+     * Normalize a value for searching (lower case, without accents)
+     * @param {*} value
+     * @returns {object} - { text: [normalized text], map: [index in the original text for every character of the normalized text] }
+     */
+    __searchText(value) {
+        let source = value == undefined ? "" : `${value}`;
+        let text = "";
+        let map = [];
+        for (let i = 0; i < source.length; i++) {
+            let c = source[i]
+                .normalize("NFD")
+                .replace(/[\u0300-\u036f]/g, "")
+                .toLowerCase();
+            for (let j = 0; j < c.length; j++) map.push(i);
+            text += c;
+        }
+        return { text: text, map: map };
+    }
+
+    /**
+     * Find the matches of a search query word in normalized text
+     * @param {string} text - Normalized text
+     * @param {string} term - Normalized query word
+     * @param {boolean|number} fuzzy - Fuzzy search option (see search())
+     * @returns {Array} - List of { score: [4: whole text, 3: start of word, 2: inside word, 1: fuzzy], start, end }
+     */
+    __searchMatches(text, term, fuzzy) {
+        let matches = [];
+        let i = text.indexOf(term);
+        while (i >= 0) {
+            let score = 2;
+            if (text == term) {
+                score = 4;
+            } else if (i == 0 || /[^\p{L}\p{N}]/u.test(text[i - 1])) {
+                score = 3;
+            }
+            matches.push({ score: score, start: i, end: i + term.length });
+            i = text.indexOf(term, i + term.length);
+        }
+        if (matches.length > 0 || !fuzzy || term.length < 3) return matches;
+
+        // Match words (or the start of words) with a limited number of edits
+        let max = fuzzy === true ? (term.length > 5 ? 2 : 1) : Number(fuzzy);
+        let words = /[\p{L}\p{N}]+/gu;
+        let m;
+        while ((m = words.exec(text))) {
+            let word = m[0];
+            let distance = Math.min(
+                this.__editDistance(term, word),
+                this.__editDistance(term, word.slice(0, term.length))
+            );
+            if (distance <= max) {
+                matches.push({
+                    score: 1,
+                    start: m.index,
+                    end: m.index + word.length,
                 });
             }
         }
+        return matches;
+    }
+
+    /**
+     * Get the (merged) ranges of the search matches in text
+     * @param {string} text - Original text
+     * @param {object} search - Search state (see search())
+     * @returns {Array} - List of { start, end } indexes in the original text
+     */
+    __searchRanges(text, search) {
+        let n = this.__searchText(text);
+        let ranges = [];
+        search.terms.forEach((term) => {
+            this.__searchMatches(n.text, term, search.fuzzy).forEach((m) => {
+                ranges.push({
+                    start: n.map[m.start],
+                    end: n.map[m.end - 1] + 1,
+                });
+            });
+        });
+
+        ranges.sort((a, b) => a.start - b.start);
+        let merged = [];
+        ranges.forEach((r) => {
+            let last = merged[merged.length - 1];
+            if (last && r.start <= last.end) {
+                last.end = Math.max(last.end, r.end);
+            } else {
+                merged.push(r);
+            }
+        });
+        return merged;
+    }
+
+    /**
+     * Levenshtein edit distance between two strings
+     * @param {string} a
+     * @param {string} b
+     * @returns {number}
+     */
+    __editDistance(a, b) {
+        let prev = Array.from({ length: b.length + 1 }, (v, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            let row = [i];
+            for (let j = 1; j <= b.length; j++) {
+                row[j] = Math.min(
+                    prev[j] + 1,
+                    row[j - 1] + 1,
+                    prev[j - 1] + (a[i - 1] == b[j - 1] ? 0 : 1)
+                );
+            }
+            prev = row;
+        }
+        return prev[b.length];
+    }
+
+    /**
+     * Only add the child controls inside the scroll viewport (plus overscan) of a container element to the DOM. Other child controls are not initialized (Init() is not called)
+     * until scrolled into view. All child controls in the container should have the same (fixed) height. Pass false to add all child controls to the DOM.
+     * The Set() promise resolves when the data of deferred child controls is set (without waiting for Init()). whenReady() and whenChild() resolve when the child control is initialized.
+     * @param {object|boolean} options - { itemHeight: [child control element height in pixels], overscan: [number of child controls rendered above and below the viewport. Default: 5], element: [reference name of the container element. Default: "_controlsDiv"], viewport: [reference name of the scrolling element. Default: the container element] }
+     */
+    virtualize(options) {
+        if (this._headless) {
+            console.log(
+                `${this.name}: Unable to virtualize child controls in headless mode`
+            );
+            return;
+        }
+
+        // Restore the previous container
+        if (this._virtual) this._unvirtualize();
+        if (!options) return;
+
+        if (!(options.itemHeight > 0)) {
+            console.log(
+                `${this.name}: Unable to virtualize child controls: Invalid itemHeight "${options.itemHeight}"`
+            );
+            return;
+        }
+
+        this._virtual = {
+            element: options.element || "_controlsDiv",
+            viewport: options.viewport,
+            itemHeight: options.itemHeight,
+            overscan: options.overscan >= 0 ? options.overscan : 5,
+            rendered: new Set(), // Child controls of which the elements are in the DOM
+            items: undefined, // Cached list of displayed child controls in display order
+            dirty: true,
+        };
+
+        // Move grouped child controls out of their group controls (grouping is not applied to virtualized containers)
+        if (this._groups.size > 0) this._group();
+
+        // Remove the elements of existing child controls from the DOM. The visible controls are added again when rendered.
+        Object.values(this._controls).forEach((c) => {
+            if (c.parentElement == this._virtual.element && c._element) {
+                c._element.remove();
+            }
+        });
+
+        this._scheduleVirtual(true);
+    }
+
+    /**
+     * Add the remaining child controls of a virtualized container to the DOM, and remove the virtualization event listeners and spacer elements
+     */
+    _unvirtualize() {
+        let v = this._virtual;
+        this._virtual = undefined;
+
+        if (v.top) {
+            v.top.remove();
+            v.bottom.remove();
+            v.viewportElement.removeEventListener("scroll", v.onScroll);
+            if (v.observer) v.observer.disconnect();
+        }
+
+        if (!this._init) return;
+
+        // Add the elements of initialized controls removed from the DOM, and the HTML of not initialized controls
+        let container = this[v.element];
+        let pending = [];
+        Object.values(this._controls).forEach((c) => {
+            if (c.parentElement != v.element) return;
+            if (c._init) {
+                if (container && c._element.parentNode != container) {
+                    container.appendChild(c._element);
+                }
+            } else if (!c._element.parentNode) {
+                pending.push(c);
+            }
+        });
+        this._attachControls(pending);
+        if (this.groupBy) this._group();
+        if (this._sortActive()) this._order();
+    }
+
+    /**
+     * Render the virtualized container on the next animation frame. Multiple calls are merged into a single render.
+     * @param {boolean} dirty - True if the list of displayed child controls should be updated (e.g. after adding or removing child controls)
+     */
+    _scheduleVirtual(dirty) {
+        let v = this._virtual;
+        if (!v || v.rendering) return;
+        if (dirty) v.dirty = true;
+        if (v.scheduled) return;
+
+        v.scheduled = true;
+        let frame =
+            typeof requestAnimationFrame == "function"
+                ? requestAnimationFrame
+                : (callback) => setTimeout(callback, 0);
+        frame(() => {
+            v.scheduled = false;
+            if (this._virtual == v && this._init) this._renderVirtual();
+        });
+    }
+
+    /**
+     * Get the displayed (visible, filtered and on the current page) child controls of the virtualized container in display order
+     * @returns {Array}
+     */
+    _virtualItems() {
+        let v = this._virtual;
+        return this._pageControls().filter((c) => c.parentElement == v.element);
+    }
+
+    /**
+     * Add the elements of the child controls inside the scroll viewport (plus overscan) of the virtualized container to the DOM, and remove the elements of other child controls.
+     * The height of the controls outside of the rendered range is filled with spacer elements.
+     */
+    _renderVirtual() {
+        let v = this._virtual;
+        let container = this[v.element];
+        if (!container) {
+            console.log(
+                `${this.name}: Unable to virtualize child controls: Element "${v.element}" not found`
+            );
+            return;
+        }
+
+        // Add the spacer elements and scroll event listeners
+        if (!v.top) {
+            v.top = document.createElement("div");
+            v.bottom = document.createElement("div");
+            container.prepend(v.top);
+            container.append(v.bottom);
+
+            v.viewportElement = (v.viewport && this[v.viewport]) || container;
+            v.onScroll = () => {
+                this._scheduleVirtual();
+            };
+            v.viewportElement.addEventListener("scroll", v.onScroll, {
+                passive: true,
+            });
+            if (typeof ResizeObserver == "function") {
+                v.observer = new ResizeObserver(v.onScroll);
+                v.observer.observe(v.viewportElement);
+            }
+        }
+
+        if (v.dirty || !v.items) {
+            v.items = this._virtualItems();
+            v.dirty = false;
+        }
+        let items = v.items;
+        let h = v.itemHeight;
+        let viewport = v.viewportElement;
+
+        // Scroll offset from the top of the first child control
+        let scrollTop = viewport.scrollTop;
+        let offset =
+            viewport == container
+                ? scrollTop
+                : viewport.getBoundingClientRect().top -
+                  v.top.getBoundingClientRect().top;
+
+        // Keep the first child control in the viewport in place when child controls are inserted or removed above it
+        let shift = 0;
+        if (v.anchor && scrollTop == v.scrollTop) {
+            let index = items.indexOf(v.anchor);
+            if (index >= 0) shift = (index - v.anchorIndex) * h;
+        }
+        offset = Math.max(0, offset + shift);
+
+        let first = Math.max(0, Math.floor(offset / h) - v.overscan);
+        let last = Math.min(
+            items.length,
+            Math.ceil((offset + viewport.clientHeight) / h) + v.overscan
+        );
+        let visible = items.slice(first, last);
+        let rendered = new Set(visible);
+
+        // Remove the elements of child controls outside of the rendered range
+        v.rendered.forEach((c) => {
+            if (!rendered.has(c)) c._element.remove();
+        });
+
+        // Add the HTML of child controls rendered for the first time
+        v.rendering = true;
+        try {
+            this._attachControls(visible.filter((c) => !c._init));
+        } finally {
+            v.rendering = false;
+        }
+
+        // Place the elements in display order between the spacer elements
+        let previous = v.top;
+        visible.forEach((c) => {
+            if (previous.nextSibling != c._element) {
+                container.insertBefore(c._element, previous.nextSibling);
+            }
+            previous = c._element;
+        });
+        v.rendered = rendered;
+
+        v.top.style.height = `${first * h}px`;
+        v.bottom.style.height = `${(items.length - last) * h}px`;
+        if (shift) viewport.scrollTop = scrollTop + shift;
+
+        v.anchorIndex = Math.min(Math.floor(offset / h), items.length - 1);
+        v.anchor = items[v.anchorIndex];
+        v.scrollTop = viewport.scrollTop;
     }
 
     /**
-     * Notifies parent control of a change to the given property or array of properties and triggers the onChange event.
-     * @param {*} propertyNames - Single string or array of string property names
+     * Let the user reorder the child controls in a container element by dragging (pointer) or with the arrow keys (keyboard). Drag handles are added to the child controls.
+     * On drop, the orderBy property of the dropped child control is renumbered (or the child controls are re-indexed). Child controls can be dragged between reorderable
+     * parent controls accepting the child control's controlType. Pass false to disable reordering.
+     * @param {object|boolean} options - { element: [reference name of the container element. Default: "_controlsDiv"], property: [numeric child control property to be renumbered. Default: the first orderBy property], renumber: "fractional" / "index", handle: [reference name of the drag handle element in the child controls. Default: a drag handle element is added], accept: [array of accepted controlTypes or function(control) returning true if the control is accepted] }
      */
-    NotifyProperty(propertyNames) {
-        let data = {};
-        let meta = {};
-        if (Array.isArray(propertyNames)) {
-            propertyNames.forEach((p) => {
-                if (this[p] != undefined) {
-                    data[p] = this[p];
-                    meta[p] = this._meta[p];
-                }
+    reorderable(options) {
+        if (this._headless) {
+            console.log(
+                `${this.name}: Unable to reorder child controls in headless mode`
+            );
+            return;
+        }
+
+        // Remove the previous drag handles
+        if (this._reorder) {
+            let r = this._reorder;
+            this._reorder = undefined;
+            __dropTargets.delete(r.container);
+            Object.values(this._controls).forEach((c) => {
+                this._removeDragHandle(c);
             });
-        } else {
-            if (this[propertyNames] != undefined) {
-                data[propertyNames] = this[propertyNames];
-                meta[propertyNames] = this._meta[propertyNames];
-            }
         }
+        if (!options) return;
+        if (options === true) options = {};
 
-        this._notify(data, meta);
-    }
+        let element = options.element || "_controlsDiv";
+        let container = this[element];
+        if (!container || !container.appendChild) {
+            console.log(
+                `${this.name}: Unable to reorder child controls in element "${element}". Element not found.`
+            );
+            return;
+        }
+        if (this._virtual && this._virtual.element == element) {
+            console.log(
+                `${this.name}: Unable to reorder child controls in virtualized element "${element}"`
+            );
+            return;
+        }
 
-    /**
-     * Depreciated. Set visibility by setting control.visible to true/false.
-     */
-    Show() {
-        this.visible = true;
+        this._reorder = {
+            element: element,
+            container: container,
+            property: options.property,
+            renumber: options.renumber == "index" ? "index" : "fractional",
+            handle: options.handle,
+            accept: options.accept,
+        };
+        __dropTargets.set(container, this);
+
+        Object.values(this._controls).forEach((c) => {
+            if (c._init && c.parentElement == element) this._addDragHandle(c);
+        });
     }
 
     /**
-     * Depreciated. Set visibility by setting control.visible to true/false.
+     * Add a drag handle to a child control in the reorderable container element (see reorderable())
+     * @param {ui} control
      */
-    Hide() {
-        this.visible = false;
+    _addDragHandle(control) {
+        let r = this._reorder;
+        if (!r || control.__dragHandle || !control._element) return;
+
+        let handle = r.handle && control[r.handle];
+        let added = !handle;
+        if (added) {
+            handle = document.createElement("div");
+            handle.className = "ui-drag-handle";
+            handle.textContent = "⠿";
+            handle.style.cssText = "cursor: grab; touch-action: none;";
+            control._element.prepend(handle);
+        }
+        handle.tabIndex = 0;
+        handle.setAttribute("role", "button");
+        handle.setAttribute(
+            "aria-label",
+            "Drag to reorder, or use the arrow keys"
+        );
+
+        let onPointerDown = (e) => {
+            control._parent._startDrag(control, handle, e);
+        };
+        let onKeyDown = (e) => {
+            control._parent._keyboardReorder(control, handle, e);
+        };
+        handle.addEventListener("pointerdown", onPointerDown);
+        handle.addEventListener("keydown", onKeyDown);
+
+        control.__dragHandle = () => {
+            handle.removeEventListener("pointerdown", onPointerDown);
+            handle.removeEventListener("keydown", onKeyDown);
+            if (added) handle.remove();
+        };
     }
 
     /**
-     * Set a list of meta data properties. This metadata will be sent with the 'data' event.
-     * @param {*} propertyName - Property name
-     * @param {*} META - Meta data to be set, this can be any object structure, the way the you want to receive the data with the data event
+     * Remove a child control's drag handle
+     * @param {ui} control
      */
-    SetMeta(propertyName, META) {
-        if (this[propertyName] != undefined) {
-            this._meta[propertyName] = META;
+    _removeDragHandle(control) {
+        if (control.__dragHandle) {
+            control.__dragHandle();
+            delete control.__dragHandle;
         }
     }
 
     /**
-     * Set the CSS visibility to visible. This does not change the control.visible property.
+     * Get the displayed child controls in the reorderable container element in display order
+     * @param {ui} [exclude] - Child control to be excluded from the list
+     * @returns {Array}
      */
-    _show() {
-        this._element.style.display = this.visibleDisplayCss;
+    _reorderItems(exclude) {
+        let controls = new Map();
+        Object.values(this._controls).forEach((c) => {
+            if (c._element) controls.set(c._element, c);
+        });
+        return Array.from(this._reorder.container.children)
+            .map((e) => controls.get(e))
+            .filter(
+                (c) =>
+                    c &&
+                    c != exclude &&
+                    c._element.style.display != c.hiddenDisplayCss
+            );
     }
 
     /**
-     * Set the CSS visibility to hidden. This does not change the control.visible property.
+     * True if a (dragged) control can be dropped in this control's reorderable container element
+     * @param {ui} control
+     * @returns {boolean}
      */
-    _hide() {
-        this._element.style.display = this.hiddenDisplayCss;
-    }
-
-    // notifies parent of data change, and triggers onChange event.
-    _notify(data, meta) {
-        if (this._parent != undefined) {
-            let n = {
-                [this.name]: data,
-            };
-
-            if (!this.hideData) {
-                this._parent._notify(n, meta);
-            }
+    _acceptsDrop(control) {
+        // Grouped child controls are not in the container element (see groupBy)
+        if (this._groups.size > 0) return false;
+        if (control._parent == this) return true;
+        if (control == this || control._descendants().includes(this)) {
+            return false;
         }
 
-        this.emit("data", data, undefined, meta);
-    }
+        let accept = this._reorder.accept;
+        if (typeof accept == "function") return !!accept(control);
+        if (Array.isArray(accept)) return accept.includes(control.controlType);
 
-    // Generate a unique ID
-    _generateUuid() {
-        // code from https://stackoverflow.com/questions/105034/how-to-create-a-guid-uuid
+        // By default, accept control types already in the container
+        let controls = Object.values(this._controls);
         return (
-            "_" +
-            ([1e7] + -1e3 + -4e3 + -8e3 + -1e11)
-                .replace(/[018]/g, (c) =>
-                    (
-                        c ^
-                        (crypto.getRandomValues(new Uint8Array(1))[0] &
-                            (15 >> (c / 4)))
-                    ).toString(16)
-                )
-                .replace(/-/g, "")
+            controls.length == 0 ||
+            controls.some((c) => c.controlType == control.controlType)
         );
     }
 
-    // Return an existing class from a passed string class name
-    _getDynamicClass(name) {
-        // adapted from https://stackoverflow.com/questions/5646279/get-object-class-from-string-name-in-javascript
-
-        // Create global cache
-        if (!window._cls_) {
-            window._cls_ = {};
+    /**
+     * Drag a child control with the pointer, showing a drop indicator in the reorderable container element under the pointer. Dragging starts when the pointer is moved
+     * by a few pixels (a click on the drag handle does not reorder). Escape cancels the drag.
+     * @param {ui} control
+     * @param {*} handle - Drag handle element
+     * @param {*} e - pointerdown event
+     */
+    _startDrag(control, handle, e) {
+        if (e.button > 0 || !this._reorderProperty()) return;
+        e.preventDefault();
+
+        let indicator = document.createElement("div");
+        indicator.className = "ui-drop-indicator";
+        indicator.setAttribute("aria-hidden", "true");
+        indicator.style.cssText =
+            "height: 2px; background: currentColor; pointer-events: none;";
+
+        if (handle.setPointerCapture && e.pointerId != undefined) {
+            handle.setPointerCapture(e.pointerId);
         }
 
-        if (!window._cls_[name]) {
-            // cache is not ready, fill it up
-            if (name.match(/^[a-zA-Z0-9_]+$/)) {
-                // proceed only if the name is a single word string
-                try {
-                    window._cls_[name] = eval(name);
-                } catch {
-                    return undefined;
+        let startX = e.clientX;
+        let startY = e.clientY;
+        let dragging = false;
+        let drop;
+        let move = (e) => {
+            if (!dragging) {
+                // Minimum pointer movement (in pixels) before dragging starts
+                if (Math.hypot(e.clientX - startX, e.clientY - startY) < 4) {
+                    return;
                 }
-            } else {
-                // arbitrary code is detected
-                // throw new Error(`Class "${name}" does not exist`);
-                return undefined;
-            }
-        }
-        return window._cls_[name];
-    }
-
-    // Order all child controls according to this control's orderBy and orderAsc properties.
-    _order() {
-        if (this.orderBy) {
-            // Subscribe to child controls orderBy properties
-            this._sorted.forEach((control) => {
-                // Unsubscribe from previous property changes
-                if (control.__sortCallback) {
-                    control.off(this._orderByPrev, control.__sortCallback);
-                }
-
-                // Subscribe to new order property changes
-                control.__sortCallback = function () {
-                    this._orderSingle(control);
-                }.bind(this);
-                control.on(this.orderBy, control.__sortCallback, {
-                    caller: this,
-                });
-            });
-
-            // Get sortable child controls
-            let sortable = [];
-            Object.values(this._controls)
-                .filter(
-                    (t) =>
-                        (t._init &&
-                            t[this.orderBy] != undefined &&
-                            !t._parentElement) ||
-                        t._parentElement == "_controlsDiv"
-                )
-                .forEach((c) => {
-                    if (typeof c[this.orderBy] == "number") {
-                        c._sortVal = c[this.orderBy];
-                    } else {
-                        c._sortVal = c[this.orderBy].toString().toLowerCase();
-                    }
-                    sortable.push(c);
-                });
-
-            // Sort
-            if (this.orderAsc) {
-                this._sorted = sortable.sort((a, b) => {
-                    if (a._sortVal > b._sortVal) return 1;
-                    if (b._sortVal > a._sortVal) return -1;
-                    return 0;
-                });
-            } else {
-                this._sorted = sortable.sort((b, a) => {
-                    if (a._sortVal > b._sortVal) return 1;
-                    if (b._sortVal > a._sortVal) return -1;
-                    return 0;
-                });
+                dragging = true;
+                control._element.classList.add("ui-dragging");
             }
 
-            if (this._sorted.length >= 1) {
-                // Move the last sorted element to the end of the div
-                this["_controlsDiv"].appendChild(
-                    this._sorted[this._sorted.length - 1]._element
+            drop = this.__dropPosition(control, e.clientX, e.clientY);
+            if (drop) {
+                drop.target._reorder.container.insertBefore(
+                    indicator,
+                    drop.before
                 );
+            } else {
+                indicator.remove();
             }
-            // Apply sort order to html elements
-            for (let i = this._sorted.length - 2; i >= 0; i--) {
-                let element = this._sorted[i]._element;
-                let nextElement = this._sorted[i + 1]._element;
-                this["_controlsDiv"].insertBefore(element, nextElement);
-            }
-        } else {
-            this._sorted.forEach((control) => {
-                // unsubscribe from child orderBy property changes
-                if (control.__sortCallback) {
-                    control.off(this._orderByPrev, control.__sortCallback);
-                    delete control.__sortCallback;
-                }
-            });
-            this._sorted = [];
-        }
-
-        this._orderByPrev = this.orderBy;
+        };
+        let end = (cancel) => {
+            handle.removeEventListener("pointermove", move);
+            handle.removeEventListener("pointerup", up);
+            handle.removeEventListener("pointercancel", cancelDrag);
+            document.removeEventListener("keydown", escape);
+            indicator.remove();
+            control._element.classList.remove("ui-dragging");
+            if (!cancel && drop) drop.target._dropControl(control, drop.index);
+        };
+        let up = (e) => {
+            move(e);
+            end(!dragging);
+        };
+        let cancelDrag = () => {
+            end(true);
+        };
+        let escape = (e) => {
+            if (e.key == "Escape") end(true);
+        };
+        handle.addEventListener("pointermove", move);
+        handle.addEventListener("pointerup", up);
+        handle.addEventListener("pointercancel", cancelDrag);
+        document.addEventListener("keydown", escape);
     }
 
-    // Change a single child control's sort position based on the property value defined by the parent's orderBy value.
-    _orderSingle(control) {
-        if (typeof control[this.orderBy] == "number") {
-            control._sortVal = control[this.orderBy];
-        } else {
-            control._sortVal = control[this.orderBy].toString().toLowerCase();
+    /**
+     * Find the reorderable container element and the drop position under the pointer
+     * @param {ui} control - Dragged control
+     * @param {number} x - Pointer client x coordinate
+     * @param {number} y - Pointer client y coordinate
+     * @returns {object} - { target: [target parent control], index: [position among the target's displayed child controls (excluding the dragged control)], before: [element before which the control is dropped] }, or undefined if the control cannot be dropped under the pointer
+     */
+    __dropPosition(control, x, y) {
+        let element = document.elementFromPoint(x, y);
+        let target;
+        while (element && !(target = __dropTargets.get(element))) {
+            element = element.parentElement;
         }
-
-        // Remove control from _sorted array
-        let removeIndex = this._sorted.findIndex((t) => t.name == control.name);
-        if (removeIndex >= 0) this._sorted.splice(removeIndex, 1);
-
-        // Calculate index for inserting in _sorted array
-        let insertIndex;
-        if (this.orderAsc) {
-            insertIndex = this._sorted.findIndex(
-                (t) => t._sortVal > control._sortVal
-            );
-        } else {
-            insertIndex = this._sorted.findIndex(
-                (t) => t._sortVal < control._sortVal
-            );
+        if (!target || !target._reorder || !target._acceptsDrop(control)) {
+            return;
         }
-        if (insertIndex < 0) insertIndex = this._sorted.length;
 
-        // Insert into the _sorted array
-        this._sorted.splice(insertIndex, 0, control);
+        // Drop before the first child control of which the vertical center is below the pointer
+        let items = target._reorderItems(control);
+        let index = items.findIndex((c) => {
+            let rect = c._element.getBoundingClientRect();
+            return y < rect.top + rect.height / 2;
+        });
+        if (index < 0) index = items.length;
 
-        // Apply sort order to HTML element
-        let element = control._element;
-        if (insertIndex >= this._sorted.length - 1) {
-            this["_controlsDiv"].appendChild(element);
-        } else {
-            let nextElement = this._sorted[insertIndex + 1]._element;
-            this["_controlsDiv"].insertBefore(element, nextElement);
-        }
+        return {
+            target: target,
+            index: index,
+            before: items[index] ? items[index]._element : null,
+        };
     }
 
     /**
-     * Set the filter function that should be applied to child controls' visibility. The filter() function does not change the control.visible property of child controls but merely hides / shows the HTML elements of the child controls based on the passed function output.
-     * @param {function} filterFunction - Filter function (e.g. t => t.filterProperty == filterValue)
-     * @param {object} options - Optional filter options: { monitor: ['propertyName1', 'propertyName2'] } - monitor: An array of child control property names which will trigger the filter on child property value(s) change.
+     * Move a child control with the arrow keys (up / down one position), Home (first position) or End (last position)
+     * @param {ui} control
+     * @param {*} handle - Drag handle element
+     * @param {*} e - keydown event
      */
-    filter(filterFunction, options) {
-        if (typeof filterFunction == "function") {
-            this._filterFunction = filterFunction;
-            this._filter(filterFunction, options);
-        } else if (filterFunction == undefined) {
-            this._filterFunction = undefined;
-            this._filter();
-        } else {
-            console.log("Filter function is not a valid function");
+    _keyboardReorder(control, handle, e) {
+        let current = this._reorderItems().indexOf(control);
+        let last = this._reorderItems(control).length;
+        let index = {
+            ArrowUp: current - 1,
+            ArrowDown: current + 1,
+            Home: 0,
+            End: last,
+        }[e.key];
+        if (index == undefined || current < 0) return;
+
+        e.preventDefault();
+        if (index < 0 || index > last || index == current) return;
+
+        this._dropControl(control, index);
+        handle.focus();
+    }
+
+    /**
+     * Get the child control property renumbered when reordering (see reorderable())
+     * @returns {string}
+     */
+    _reorderProperty() {
+        let property =
+            this._reorder.property ||
+            (this._orderKeys()[0] && this._orderKeys()[0].key);
+        if (!property) {
+            console.log(
+                `${this.name}: Unable to reorder child controls: No orderBy property`
+            );
         }
+        return property;
     }
 
     /**
-     * Apply visual filter
-     * @param {function} filterFunction
-     * @param {object} options - Optional filter options: { monitor: ['propertyName1', 'propertyName2'] } - monitor: An array of child control property names which will trigger the filter on child property value(s) change.
+     * Drop a control in the reorderable container element, moving the control from another parent control if needed, and renumber the orderBy property.
+     * Emits the 'reorder' event. Dropping a control at its current position does not change anything.
+     * @param {ui} control
+     * @param {number} index - Position among the displayed child controls (excluding the dropped control)
+     * @returns {boolean} - True if the control was dropped
      */
-    _filter(filterFunction, options) {
-        if (options && options.monitor && Array.isArray(options.monitor)) {
-            // Add new filter options
-            options.monitor.forEach((propertyName) => {
-                if (!this._filterMonitorProperties[propertyName]) {
-                    this._filterMonitorProperties[propertyName] = true;
+    _dropControl(control, index) {
+        let r = this._reorder;
+        let property = this._reorderProperty();
+        if (!property) return false;
+
+        let items = this._reorderItems(control);
+        let from = control._parent;
+        if (from == this && this._reorderItems().indexOf(control) == index) {
+            return false;
+        }
 
-                    // Subscribe to property change event on all existing child controls
-                    Object.values(this._controls).forEach((control) => {
-                        control._filterCallbacks[propertyName] = control.on(
-                            propertyName,
-                            () => {
-                                if (filterFunction && filterFunction(control)) {
-                                    control._show();
-                                } else {
-                                    control._hide();
-                                }
-                            },
-                            { caller: this }
-                        );
-                    });
+        return this.transaction(() => {
+            if (from != this) {
+                // Use a unique name in this control
+                let name = control.name;
+                for (let i = 2; this._controls[name]; i++) {
+                    name = `${control.name}_${i}`;
                 }
-            });
+                if (
+                    !control.moveTo(this, {
+                        name: name,
+                        parentElement: r.element,
+                    })
+                ) {
+                    return false;
+                }
+            }
 
-            // Remove old filter options
-            Object.keys(this._filterMonitorProperties).forEach(
-                (propertyName) => {
-                    if (!options.monitor.find((p) => p == propertyName)) {
-                        delete this._filterMonitorProperties[propertyName];
+            // Sort direction of the renumbered property
+            let key = this._orderKeys().find((k) => k.key == property);
+            let direction =
+                (key ? key.direction : 1) * (this.orderAsc ? 1 : -1);
+
+            let prev = items[index - 1];
+            let next = items[index];
+            let value;
+            if (prev && next) {
+                value = (Number(prev[property]) + Number(next[property])) / 2;
+            } else if (prev) {
+                value = Number(prev[property]) + direction;
+            } else if (next) {
+                value = Number(next[property]) - direction;
+            } else {
+                value = 0;
+            }
 
-                        // Unsubscribe from property change event on all child controls
-                        Object.values(this._controls).forEach((control) => {
-                            if (control._filterCallbacks[propertyName]) {
-                                control.off(
-                                    propertyName,
-                                    control._filterCallbacks[propertyName]
-                                );
-                                delete control._filterCallbacks[propertyName];
-                            }
-                        });
-                    }
-                }
-            );
-        } else {
-            this._filterMonitorProperties = {};
+            if (
+                r.renumber == "fractional" &&
+                Number.isFinite(value) &&
+                (!prev || value != prev[property]) &&
+                (!next || value != next[property])
+            ) {
+                control[property] = value;
+            } else {
+                // Re-index the displayed child controls
+                let list = items.slice();
+                list.splice(index, 0, control);
+                list.forEach((c, i) => {
+                    let v = direction > 0 ? i : list.length - 1 - i;
+                    if (c[property] !== v) c[property] = v;
+                });
+            }
 
-            // Unsubscribe from all property change events on all child controls if no property names to be monitored is passed.
-            Object.values(this._controls).forEach((control) => {
-                Object.keys(control._filterCallbacks).forEach(
-                    (propertyName) => {
-                        control.off(
-                            propertyName,
-                            control._filterCallbacks[propertyName]
-                        );
-                        delete control._filterCallbacks[propertyName];
-                    }
-                );
+            this.emit("reorder", {
+                control: control,
+                from: from,
+                index: index,
             });
-        }
+            return true;
+        });
+    }
+}
+/* #endregion */
 
-        if (filterFunction) {
-            // Apply filter
-            Object.values(this._controls).forEach((control) => {
-                if (control.visible) {
-                    if (filterFunction(control)) {
-                        control._show();
-                    } else {
-                        control._hide();
-                    }
-                }
-            });
-        } else {
-            // Remove filter
-            Object.values(this._controls).forEach((control) => {
-                if (control.visible) {
-                    control._show();
-                }
-            });
-        }
+/* #region  uiGroup */
+class uiGroup extends ui {
+    /**
+     * Default group control, used to group child controls (see groupBy). Clicking the group header collapses / expands the group.
+     * @property {*} value - Group key (the groupBy property value of the child controls in the group)
+     * @property {number} count - Number of child controls in the group
+     * @property {boolean} collapsed - When true, the group's child controls are hidden
+     */
+    constructor() {
+        super();
+        this.value = "";
+        this.count = 0;
+        this.collapsed = false;
+    }
+
+    get html() {
+        return `
+        <div class="ui-group-header" on:click=@{toggle}>@{value} (@{count})</div>
+        <div id="@{_controlsDiv}" hidden=@{collapsed}></div>`;
+    }
+
+    Init() {}
+
+    /**
+     * Collapse / expand the group
+     */
+    toggle() {
+        this.collapsed = !this.collapsed;
     }
 }
 /* #endregion */
@@ -1720,15 +7074,39 @@ class uiTopLevelContainer extends ui {
      * Top level container is added to the passed DOM element. Use the SetData() function to add child controls to the top level element.
      * @param {string} path - path to the modular-ui controls directory. If not passed, assume that the modular-ui js files are in the root folder.
      * @param {string} element - ID of the HTML DOM element where the top level container should be inserted. If not passed, the top level container is added directly to the body element.
+     * @param {object} options - [Optional] { loader: "script" / "module", manifest: [manifest URL], cacheBust: true / [version string], renderer: [renderer object], hydrate: true / false, notifyDebounceMs: [milliseconds], patchEvents: true / false, arrayDelta: true / false } - loader: "script" (default): Load control classes by adding script tags to the DOM; "module": Load control classes as ES modules through dynamic import(). manifest: (module loader only) URL (relative to path) of a manifest file listing control types' URL, dependencies, version hash and stylesheets. cacheBust: Adds a version query parameter to loaded scripts. If true, the time of creation of the top level container is used as version. renderer: (headless mode only) Object with optional add(control, parent) and remove(control, parent) functions, called when controls are added to or removed from the control tree. hydrate: When true, the top level container's HTML is not added to the DOM on creation. Call hydrate() to attach to server rendered HTML (see renderToString()). notifyDebounceMs: Merge 'data' events, and emit the merged data after the given time (in milliseconds) without further changes. patchEvents: When true, emits the 'patch' event with the JSON Patch (RFC 6902) equivalent of the 'data' event. arrayDelta: When true, array property changes are notified as splices ({ splice: [[start, deleteCount, ...items]] }) instead of full arrays.
      */
-    constructor(path, element) {
+    constructor(path, element, options = {}) {
         super();
 
         if (path != undefined) {
             this._path = path;
         }
 
-        if (element == undefined) {
+        this._loader = options.loader || "script"; // Control class loader ("script" or "module")
+        this._manifestUrl = options.manifest; // Module loader manifest URL
+        this._manifest = undefined; // Promise with the loaded manifest
+        this._moduleLoads = {}; // Promises of module loads by control type
+        this._cacheBust =
+            options.cacheBust === true
+                ? Date.now().toString()
+                : options.cacheBust || undefined; // Cache-busting version string
+        this._renderer = options.renderer; // Headless mode renderer
+        this.notifyDebounceMs = options.notifyDebounceMs || 0; // When set, 'data' events are merged and emitted after the given time (in milliseconds) without further changes
+        this.patchEvents = options.patchEvents || false; // When true, the 'patch' event is emitted with JSON Patch operations for every local change
+        this.arrayDelta = options.arrayDelta || false; // When true, array property changes are notified as splices ({ splice: [[start, deleteCount, ...items]] }) instead of full arrays
+        this._hydrating = false; // True while child controls are attached to server rendered HTML
+
+        if (options.hydrate) {
+            // HTML is attached in hydrate()
+            if (element != undefined)
+                this.name = "modular-ui top level container";
+            return;
+        } else if (this._headless) {
+            // No HTML to be added in headless mode
+            if (element != undefined)
+                this.name = "modular-ui top level container";
+        } else if (element == undefined) {
             document.body.innerHTML += this.html;
         } else {
             this.name = "modular-ui top level container";
@@ -1742,6 +7120,53 @@ class uiTopLevelContainer extends ui {
 
         this.Init();
         this._init = true;
+        this.__resolveInit();
+    }
+
+    /**
+     * Render the control tree to an HTML string. The HTML can be attached to on the client through hydrate(). Should be called after all child controls have been created (e.g. on the server in headless mode).
+     * @returns {string} - HTML string
+     */
+    renderToString() {
+        return `<div data-ui-root="${this._uuid}">${this._renderHtml()}</div>`;
+    }
+
+    /**
+     * Attach to HTML rendered by renderToString() in the passed element, instead of adding new HTML to the DOM. Element references and data bindings
+     * are linked to the existing elements. The top level container should be created with the { hydrate: true } option.
+     * @param {string} rootElementId - ID of the HTML DOM element containing the server rendered HTML
+     * @param {object} data - Control tree data (the same data used to render the HTML)
+     */
+    hydrate(rootElementId, data) {
+        let root = document.getElementById(rootElementId);
+        let e = root && root.querySelector("[data-ui-root]");
+
+        if (e) {
+            // Use the server generated ID of the top level container
+            this._uuid = e.getAttribute("data-ui-root");
+            this._hydrating = true;
+        } else {
+            console.log(
+                `Unable to hydrate element "${rootElementId}": Server rendered HTML not found`
+            );
+
+            // Fall back to adding new HTML
+            if (root) root.innerHTML += this.html;
+        }
+
+        this.Init();
+        this._init = true;
+
+        this.__resolveInit();
+
+        // Add child controls created before hydration
+        if (this._htmlControlQueue.length > 0) {
+            this._attachControls(this._htmlControlQueue.splice(0));
+        }
+
+        return this.Set(data).then(() => {
+            this._hydrating = false;
+        });
     }
 }
 /* #endregion */
@@ -1791,3 +7216,73 @@ function _uiClasses(baseClass, ...mixins) {
 }
 
 /* #endregion */
+
+/* #region  Built-in control registration */
+ui.register("ui", ui);
+ui.register("uiTopLevelContainer", uiTopLevelContainer);
+ui.register("uiGroup", uiGroup);
+/* #endregion */
+
+/* #region  Built-in formatters */
+// @{price | currency:'ZAR'} or @{price | currency:'EUR':'de-DE'}
+ui.registerFormatter("currency", (value, currency = "USD", locale) => {
+    let n = Number(value);
+    if (value === "" || value == undefined || Number.isNaN(n)) return "";
+    return new Intl.NumberFormat(locale, {
+        style: "currency",
+        currency: currency,
+    }).format(n);
+});
+
+// @{value | number:2} (fixed number of decimals) or @{value | number:2:'en-US'}
+ui.registerFormatter("number", (value, decimals, locale) => {
+    let n = Number(value);
+    if (value === "" || value == undefined || Number.isNaN(n)) return "";
+    let options = {};
+    if (decimals != undefined) {
+        options.minimumFractionDigits = decimals;
+        options.maximumFractionDigits = decimals;
+    }
+    return new Intl.NumberFormat(locale, options).format(n);
+});
+
+// @{updated | date:'yyyy-MM-dd HH:mm'} (tokens: yyyy, yy, MM, M, dd, d, HH, H, hh, h, mm, ss). Without a format, the date is formatted with the locale format.
+ui.registerFormatter("date", (value, format) => {
+    if (value === "" || value == undefined) return "";
+    let d = new Date(
+        Object.prototype.toString.call(value) == "[object Date]"
+            ? value.getTime()
+            : value
+    );
+    if (Number.isNaN(d.getTime())) return "";
+    if (!format) return d.toLocaleString();
+
+    let pad = (n) => `${n}`.padStart(2, "0");
+    let tokens = {
+        yyyy: d.getFullYear(),
+        yy: pad(d.getFullYear() % 100),
+        MM: pad(d.getMonth() + 1),
+        M: d.getMonth() + 1,
+        dd: pad(d.getDate()),
+        d: d.getDate(),
+        HH: pad(d.getHours()),
+        H: d.getHours(),
+        hh: pad(d.getHours() % 12 || 12),
+        h: d.getHours() % 12 || 12,
+        mm: pad(d.getMinutes()),
+        ss: pad(d.getSeconds()),
+    };
+    return format.replace(
+        /yyyy|yy|MM|M|dd|d|HH|H|hh|h|mm|ss/g,
+        (t) => tokens[t]
+    );
+});
+
+ui.registerFormatter("uppercase", (value) =>
+    value == undefined ? "" : `${value}`.toUpperCase()
+);
+
+ui.registerFormatter("lowercase", (value) =>
+    value == undefined ? "" : `${value}`.toLowerCase()
+);
+/* #endregion */